@@ -0,0 +1,92 @@
+// Run: node scripts/annotate_sightings.js [--region=usa]
+// Re-annotates existing web/data/sightings/*.json without rebuilding from the
+// occurrence sheet: country/state from the admin-1 polygons, distance to the
+// species' mapped range and the out_of_range flag, plus the outlier report.
+// Records without valid coordinates (including (0, 0)) and records outside the
+// region are dropped with the builder's tests (admin-1 unit in the region, or
+// a point inside its outline), and species left with none are removed from
+// the index.
+// Row-number IDs from older builds are replaced with stable IDs (lib/ids.js);
+// records from before source adapters are attributed to the combined sheet.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { loadRegion } from './lib/regions.js';
+import { loadAdminBoundaries } from './lib/admin.js';
+import { loadSpeciesRange, flagRecord, writeOutlierReport } from './lib/ranges.js';
+import { sightingId, isLegacyId } from './lib/ids.js';
+import { validCoords } from './lib/occurrence.js';
+import { ROOT } from './lib/io.js';
+
+const SIGHTINGS_DIR = path.join(ROOT, 'web', 'data', 'sightings');
+const SIGHTINGS_INDEX = path.join(ROOT, 'web', 'data', 'sightings_index.json');
+const OUTLIERS_JSON = path.join(ROOT, 'web', 'data', 'sightings_outliers.json');
+const LEGACY_ORIGIN = 'combined'; // the only source before config/sources.json
+
+(async () => {
+  const region = await loadRegion();
+  const admin = await loadAdminBoundaries();
+  const files = (await fs.readdir(SIGHTINGS_DIR)).filter(f => f.endsWith('.json')).sort();
+  const byCountry = new Map();
+  const perSpecies = new Map();
+  let total = 0, badCoords = 0, outside = 0, rekeyed = 0;
+  for (const f of files) {
+    const p = path.join(SIGHTINGS_DIR, f);
+    const sci = f.slice(0, -5);
+    const range = await loadSpeciesRange(sci);
+    const arr = JSON.parse(await fs.readFile(p, 'utf8'));
+    const out = [];
+    for (const s of arr) {
+      total++;
+      if (!validCoords(s.lat, s.lon)) { badCoords++; continue; }
+      const place = admin.assign(s.lon, s.lat);
+      const c = place ? place.country : 'none';
+      byCountry.set(c, (byCountry.get(c) || 0) + 1);
+      if (!region.containsPlace(place) && !region.contains(s.lon, s.lat)) { outside++; continue; }
+      // Keep the builder's field order: place fields follow the coordinates
+      const { id, sci: name, ts, lat, lon, country, state, state_name, source, origin, range_km, out_of_range, ...tail } = s;
+      const rec = flagRecord({
+        id, sci: name, ts, lat, lon,
+        country: place ? place.country : null,
+        state: place ? place.state : null,
+        state_name: place ? place.state_name : null,
+        source,
+        origin: origin || LEGACY_ORIGIN,
+        ...tail
+      }, range);
+      if (isLegacyId(id)) { rec.id = sightingId(rec); rekeyed++; }
+      out.push(rec);
+    }
+    if (!out.length) { await fs.rm(p); continue; }
+    out.sort((a, b) => a.id.localeCompare(b.id));
+    perSpecies.set(sci, out);
+    await fs.writeFile(p, JSON.stringify(out, null, 2), 'utf8');
+  }
+  // Counts and file sizes changed; keep the index (and per-source counts) in step
+  const index = JSON.parse(await fs.readFile(SIGHTINGS_INDEX, 'utf8')).filter(e => perSpecies.has(e.sci));
+  for (const e of index) {
+    const arr = perSpecies.get(e.sci);
+    e.count = arr.length;
+    e.bytes = (await fs.stat(path.join(SIGHTINGS_DIR, `${e.sci}.json`))).size;
+    e.latest_ts = arr.reduce((m, s) => !m || (s.ts && s.ts > m) ? s.ts : m, null);
+    const sources = {};
+    for (const s of arr) {
+      const prev = e.sources && e.sources[s.origin];
+      sources[s.origin] = sources[s.origin] || { kept: 0, merged: prev ? prev.merged : 0 };
+      sources[s.origin].kept++;
+    }
+    e.sources = sources;
+  }
+  index.sort((a, b) => b.count - a.count || a.sci.localeCompare(b.sci));
+  await fs.writeFile(SIGHTINGS_INDEX, JSON.stringify(index, null, 2), 'utf8');
+
+  const summary = Array.from(byCountry).sort((a, b) => b[1] - a[1]).map(([c, n]) => `${c}=${n}`).join(', ');
+  console.log(`Annotated ${total} sightings in ${files.length} files: ${summary}`);
+  console.log(`Dropped: bad coordinates=${badCoords}, outside ${region.name}=${outside}`);
+  if (rekeyed) console.log(`Replaced ${rekeyed} row-number IDs with stable IDs`);
+  // Same reference date as the build that produced the records
+  let asOf = null;
+  try { asOf = JSON.parse(await fs.readFile(OUTLIERS_JSON, 'utf8')).as_of ?? null; } catch {}
+  const report = await writeOutlierReport(perSpecies, { asOf });
+  const flagged = report.reduce((a, s) => a + s.out_of_range, 0);
+  console.log(`Out of range: ${flagged} across ${report.filter(s => s.out_of_range).length} species -> web/data/sightings_outliers.{json,csv}`);
+})();
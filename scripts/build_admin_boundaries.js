@@ -0,0 +1,106 @@
+// Run: node scripts/build_admin_boundaries.js --source=path/to/ne_10m_admin_1_states_provinces.geojson
+// Bundles Natural Earth 1:10m admin-1 (states/provinces) polygons into a compact
+// data/boundaries/admin1.json used to assign country and state to occurrence
+// records. Download the source from https://www.naturalearthdata.com/.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT } from './lib/io.js';
+import { polygonsOf, bboxOfPolygons } from './lib/geo.js';
+
+const OUT = path.join(ROOT, 'data', 'boundaries', 'admin1.json');
+
+const TOLERANCE = 0.005; // degrees (~500 m); well under coordinate noise in the records
+const DECIMALS = 3;
+
+function parseArgs(argv) {
+  const out = { source: null };
+  for (const a of argv) {
+    if (a.startsWith('--source=')) out.source = a.slice(9);
+  }
+  return out;
+}
+
+// Squared distance from p to segment a-b (planar, degrees)
+function segDist2(p, a, b) {
+  let x = a[0], y = a[1];
+  let dx = b[0] - x, dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) { x = b[0]; y = b[1]; }
+    else if (t > 0) { x += dx * t; y += dy * t; }
+  }
+  dx = p[0] - x; dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker on a closed ring (iterative)
+function simplifyRing(ring) {
+  if (ring.length <= 4) return ring;
+  const tol2 = TOLERANCE * TOLERANCE;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+  const stack = [[0, ring.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD = 0, index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segDist2(ring[i], ring[first], ring[last]);
+      if (d > maxD) { maxD = d; index = i; }
+    }
+    if (index !== -1 && maxD > tol2) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  const f = 10 ** DECIMALS;
+  const out = [];
+  for (let i = 0; i < ring.length; i++) {
+    if (!keep[i]) continue;
+    const p = [Math.round(ring[i][0] * f) / f, Math.round(ring[i][1] * f) / f];
+    const prev = out[out.length - 1];
+    if (!prev || prev[0] !== p[0] || prev[1] !== p[1]) out.push(p);
+  }
+  return out.length >= 4 ? out : null;
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.source) {
+    console.error('Missing --source=<Natural Earth admin-1 GeoJSON>'); process.exit(1);
+  }
+  const src = JSON.parse(await fs.readFile(args.source, 'utf8'));
+
+  const features = [];
+  let dropped = 0;
+  for (const f of src.features || []) {
+    const p = f.properties || {};
+    const polygons = [];
+    for (const rings of polygonsOf(f.geometry)) {
+      const outer = simplifyRing(rings[0]);
+      if (!outer) continue; // sliver below tolerance
+      polygons.push([outer, ...rings.slice(1).map(simplifyRing).filter(Boolean)]);
+    }
+    if (!polygons.length) { dropped++; continue; }
+    const country = p.iso_a2 && p.iso_a2 !== '-1' ? p.iso_a2 : null;
+    features.push({
+      country,
+      country3: p.adm0_a3 || null,
+      country_name: p.admin || null,
+      state: p.iso_3166_2 && !p.iso_3166_2.endsWith('~') ? p.iso_3166_2 : (p.adm1_code || null),
+      state_name: p.name || null,
+      bbox: bboxOfPolygons(polygons).map(v => Number(v.toFixed(DECIMALS))),
+      polygons
+    });
+  }
+
+  await fs.mkdir(path.dirname(OUT), { recursive: true });
+  const out = {
+    version: 1,
+    source: 'Natural Earth 1:10m admin-1 states and provinces (public domain)',
+    tolerance: TOLERANCE,
+    features
+  };
+  await fs.writeFile(OUT, JSON.stringify(out), 'utf8');
+  const bytes = (await fs.stat(OUT)).size;
+  console.log(`Wrote ${features.length} admin-1 areas (${(bytes / 1048576).toFixed(1)} MB) -> ${path.relative(ROOT, OUT)}; dropped ${dropped} slivers`);
+})();
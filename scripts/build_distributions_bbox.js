@@ -1,58 +1,81 @@
 // Run: node scripts/build_distributions_bbox.js
+// Writes per-species bboxes plus a packed grid index (species -> cells)
+// that the browser loads once for "Nearby" and point lookups.
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { DIST_DIR, WEB_DATA, listDistributionSpecies, writeJSON, rel } from './lib/io.js';
+import { polygonsOf, bboxOfGeoJSON } from './lib/geo.js';
 
-const ROOT = process.cwd();
-const DIST_DIR = path.join(ROOT, 'data', 'distributions');
-const OUT = path.join(ROOT, 'web', 'data', 'distributions_bbox.json');
+const OUT = path.join(WEB_DATA, 'distributions_bbox.json');
+const OUT_INDEX = path.join(WEB_DATA, 'distributions_index.json');
 
-function sciFromFilename(fname) { return fname.replace(/\.geojson$/i, ''); }
+const CELL_DEG = 1;                   // grid cell size (degrees)
+const COLS = Math.round(360 / CELL_DEG);
+const ROWS = Math.round(180 / CELL_DEG);
 
-function computeGeoJSONBbox(geo) {
-  let minX =  Infinity, minY =  Infinity, maxX = -Infinity, maxY = -Infinity;
-  function visitCoords(coords) {
-    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-      const x = coords[0], y = coords[1];
-      if (x < minX) minX = x; if (y < minY) minY = y;
-      if (x > maxX) maxX = x; if (y > maxY) maxY = y;
-      return;
+function colOf(x) { return Math.min(COLS - 1, Math.max(0, Math.floor((x + 180) / CELL_DEG))); }
+function rowOf(y) { return Math.min(ROWS - 1, Math.max(0, Math.floor((y + 90) / CELL_DEG))); }
+
+// Mark every grid cell a polygon touches: cells crossed by its boundary
+// (edges sampled at quarter-cell steps) plus cells whose centre lies inside
+// (even-odd scanline over all rings, so holes are respected).
+function rasterizePolygon(rings, cells) {
+  const step = CELL_DEG / 4;
+  const crossings = new Map(); // row -> [x...]
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x1, y1] = ring[i], [x2, y2] = ring[i + 1];
+      const n = Math.max(1, Math.ceil(Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1)) / step));
+      for (let k = 0; k <= n; k++) {
+        const t = k / n;
+        cells.add(rowOf(y1 + (y2 - y1) * t) * COLS + colOf(x1 + (x2 - x1) * t));
+      }
+      if (y1 === y2) continue;
+      const lo = Math.min(y1, y2), hi = Math.max(y1, y2);
+      for (let r = rowOf(lo); r <= rowOf(hi); r++) {
+        const cy = -90 + (r + 0.5) * CELL_DEG;
+        if (cy < lo || cy >= hi) continue;
+        const x = x1 + (cy - y1) * (x2 - x1) / (y2 - y1);
+        if (!crossings.has(r)) crossings.set(r, []);
+        crossings.get(r).push(x);
+      }
     }
-    for (const c of coords) visitCoords(c);
   }
-  function visitFeature(f) {
-    const g = f && f.geometry;
-    if (!g) return;
-    if (g.type === 'GeometryCollection') {
-      for (const gg of g.geometries) visitFeature({ geometry: gg });
-    } else if (g.coordinates) {
-      visitCoords(g.coordinates);
+  for (const [r, xs] of crossings) {
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const c0 = Math.ceil((xs[i] + 180) / CELL_DEG - 0.5);
+      const c1 = Math.floor((xs[i + 1] + 180) / CELL_DEG - 0.5);
+      for (let c = Math.max(0, c0); c <= Math.min(COLS - 1, c1); c++) cells.add(r * COLS + c);
     }
   }
-  if (geo.type === 'FeatureCollection') {
-    for (const f of geo.features) visitFeature(f);
-  } else if (geo.type === 'Feature') {
-    visitFeature(geo);
-  } else if (geo && geo.type) {
-    visitFeature({ geometry: geo });
-  }
-  if (minX === Infinity) return null;
-  return [minX, minY, maxX, maxY];
 }
 
+function round4(v) { return Math.round(v * 1e4) / 1e4; }
+
 (async () => {
-  const files = (await fs.readdir(DIST_DIR)).filter(f => f.toLowerCase().endsWith('.geojson'));
   const out = {};
-  for (const f of files) {
+  const index = { version: 1, cell: CELL_DEG, cols: COLS, species: [], bbox: [], cells: [] };
+  for (const sci of await listDistributionSpecies()) {
     try {
-      const sci = sciFromFilename(f);
-      const raw = await fs.readFile(path.join(DIST_DIR, f), 'utf8');
-      const bbox = computeGeoJSONBbox(JSON.parse(raw));
-      if (bbox) out[sci] = bbox;
+      const raw = await fs.readFile(path.join(DIST_DIR, `${sci}.geojson`), 'utf8');
+      const geo = JSON.parse(raw);
+      const bbox = bboxOfGeoJSON(geo);
+      if (!bbox) continue;
+      out[sci] = bbox;
+
+      const cells = new Set();
+      for (const rings of polygonsOf(geo)) rasterizePolygon(rings, cells);
+      index.species.push(sci);
+      index.bbox.push(bbox.map(round4));
+      index.cells.push(Array.from(cells).sort((a, b) => a - b));
     } catch {}
   }
-  await fs.mkdir(path.dirname(OUT), { recursive: true });
-  await fs.writeFile(OUT, JSON.stringify(out, null, 2), 'utf8');
-  console.log(`Wrote ${Object.keys(out).length} bboxes -> ${path.relative(ROOT, OUT)}`);
+  await writeJSON(OUT, out);
+  console.log(`Wrote ${Object.keys(out).length} bboxes -> ${rel(OUT)}`);
+  await writeJSON(OUT_INDEX, index, { pretty: false });
+  const nCells = index.cells.reduce((n, c) => n + c.length, 0);
+  console.log(`Wrote grid index (${CELL_DEG}° cells, ${nCells} species-cells) -> ${rel(OUT_INDEX)}`);
 })();
 
 
@@ -0,0 +1,195 @@
+// Run: node scripts/build_distributions_simplified.js
+// Writes zoom-dependent simplified copies of data/distributions/*.geojson so the
+// web map can draw every range at once. Low zoom levels are bundled into one
+// file per level; the most detailed level is split per species.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, DIST_DIR, sciFromFilename } from './lib/io.js';
+
+const OUT_DIR = path.join(ROOT, 'web', 'data', 'ranges');
+
+// tolerance in degrees; maxZoom is the highest map zoom the level is used for.
+// Above the last level the map falls back to the full-resolution files.
+const LEVELS = [
+  { id: 'lod0', tolerance: 0.1,   decimals: 2, maxZoom: 4, bundle: true },
+  { id: 'lod1', tolerance: 0.025, decimals: 3, maxZoom: 6, bundle: true },
+  { id: 'lod2', tolerance: 0.005, decimals: 4, maxZoom: 8, bundle: false }
+];
+
+// Squared distance from p to segment a-b (planar, degrees)
+function segDist2(p, a, b) {
+  let x = a[0], y = a[1];
+  let dx = b[0] - x, dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) { x = b[0]; y = b[1]; }
+    else if (t > 0) { x += dx * t; y += dy * t; }
+  }
+  dx = p[0] - x; dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker on an open polyline (iterative to avoid deep recursion)
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+  const tol2 = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD = 0, index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segDist2(points[i], points[first], points[last]);
+      if (d > maxD) { maxD = d; index = i; }
+    }
+    if (index !== -1 && maxD > tol2) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return Math.abs(a / 2);
+}
+
+function roundCoord(c, decimals) {
+  const f = 10 ** decimals;
+  return [Math.round(c[0] * f) / f, Math.round(c[1] * f) / f];
+}
+
+// Simplify a closed ring; returns null when it collapses below the tolerance
+function simplifyRing(ring, tolerance, decimals) {
+  if (ring.length < 4) return null;
+  // Split at the vertex farthest from the start so the closing point is not
+  // forced to be the only anchor.
+  let far = 0, maxD = -1;
+  for (let i = 1; i < ring.length - 1; i++) {
+    const dx = ring[i][0] - ring[0][0], dy = ring[i][1] - ring[0][1];
+    const d = dx * dx + dy * dy;
+    if (d > maxD) { maxD = d; far = i; }
+  }
+  const a = simplifyLine(ring.slice(0, far + 1), tolerance);
+  const b = simplifyLine(ring.slice(far), tolerance);
+  const out = [];
+  for (const c of a.concat(b.slice(1))) {
+    const r = roundCoord(c, decimals);
+    const prev = out[out.length - 1];
+    if (!prev || prev[0] !== r[0] || prev[1] !== r[1]) out.push(r);
+  }
+  if (out.length < 4 || ringArea(out) < tolerance * tolerance) return null;
+  return out;
+}
+
+function simplifyPolygon(rings, tolerance, decimals) {
+  const outer = simplifyRing(rings[0], tolerance, decimals);
+  if (!outer) return null;
+  const out = [outer];
+  for (const hole of rings.slice(1)) {
+    const h = simplifyRing(hole, tolerance, decimals);
+    if (h) out.push(h);
+  }
+  return out;
+}
+
+function simplifyGeometry(g, tolerance, decimals) {
+  if (!g) return null;
+  const polys = g.type === 'Polygon' ? [g.coordinates]
+    : g.type === 'MultiPolygon' ? g.coordinates
+    : [];
+  const kept = [];
+  for (const p of polys) {
+    const s = simplifyPolygon(p, tolerance, decimals);
+    if (s) kept.push(s);
+  }
+  if (!kept.length) return null;
+  return kept.length === 1
+    ? { type: 'Polygon', coordinates: kept[0] }
+    : { type: 'MultiPolygon', coordinates: kept };
+}
+
+// Largest outer ring of a FeatureCollection, for ranges that vanish entirely
+function largestPolygon(geo) {
+  let best = null, bestArea = -1;
+  for (const f of geo.features || []) {
+    const g = f && f.geometry;
+    if (!g) continue;
+    const polys = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+    for (const p of polys) {
+      const a = ringArea(p[0]);
+      if (a > bestArea) { bestArea = a; best = { feature: f, rings: p }; }
+    }
+  }
+  return best;
+}
+
+function simplifyCollection(geo, { tolerance, decimals }) {
+  const features = [];
+  for (const f of geo.features || []) {
+    const g = simplifyGeometry(f && f.geometry, tolerance, decimals);
+    if (!g) continue;
+    const props = {};
+    if (f.properties && f.properties.Subspecies) props.Subspecies = f.properties.Subspecies;
+    features.push({ type: 'Feature', properties: props, geometry: g });
+  }
+  // Tiny ranges (single islands) would disappear at coarse levels; keep their
+  // largest part unsimplified so every species stays visible.
+  if (!features.length) {
+    const best = largestPolygon(geo);
+    const rings = best && simplifyPolygon(best.rings, 0, 5);
+    if (rings) {
+      const props = {};
+      if (best.feature.properties && best.feature.properties.Subspecies) props.Subspecies = best.feature.properties.Subspecies;
+      features.push({ type: 'Feature', properties: props, geometry: { type: 'Polygon', coordinates: rings } });
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+(async () => {
+  const files = (await fs.readdir(DIST_DIR)).filter(f => f.toLowerCase().endsWith('.geojson')).sort();
+  const bundles = new Map(LEVELS.map(l => [l.id, {}]));
+  for (const l of LEVELS) {
+    if (!l.bundle) await fs.mkdir(path.join(OUT_DIR, l.id), { recursive: true });
+  }
+  await fs.mkdir(OUT_DIR, { recursive: true });
+
+  for (const f of files) {
+    const sci = sciFromFilename(f);
+    let geo;
+    try {
+      geo = JSON.parse(await fs.readFile(path.join(DIST_DIR, f), 'utf8'));
+    } catch (e) {
+      console.warn(`Skipping unreadable ${f}: ${e.message}`);
+      continue;
+    }
+    for (const l of LEVELS) {
+      const simplified = simplifyCollection(geo, l);
+      if (l.bundle) bundles.get(l.id)[sci] = simplified;
+      else await fs.writeFile(path.join(OUT_DIR, l.id, `${sci}.json`), JSON.stringify(simplified), 'utf8');
+    }
+  }
+
+  const manifest = { levels: [] };
+  for (const l of LEVELS) {
+    const entry = { id: l.id, tolerance: l.tolerance, maxZoom: l.maxZoom };
+    if (l.bundle) {
+      entry.bundle = `${l.id}.json`;
+      const p = path.join(OUT_DIR, entry.bundle);
+      await fs.writeFile(p, JSON.stringify(bundles.get(l.id)), 'utf8');
+      console.log(`Wrote ${l.id} bundle (${(await fs.stat(p)).size} bytes) -> ${path.relative(ROOT, p)}`);
+    } else {
+      entry.dir = `${l.id}/`;
+      console.log(`Wrote ${l.id} per-species files -> ${path.relative(ROOT, path.join(OUT_DIR, l.id))}`);
+    }
+    manifest.levels.push(entry);
+  }
+  await fs.writeFile(path.join(OUT_DIR, 'index.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  console.log(`Simplified ${files.length} distributions -> ${path.relative(ROOT, OUT_DIR)}`);
+})();
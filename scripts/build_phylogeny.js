@@ -0,0 +1,63 @@
+// Run: node scripts/build_phylogeny.js
+// Prunes the Viperidae tree (code/Viperidae.newick) to the edition's species
+// (web/data/species_common.json, so run `build species` first) for the
+// phylogeny panel. Each maximal single-genus subtree is labelled as a clade;
+// the browser colours species by these clades.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, WEB_DATA, readJSON, writeJSON, rel } from './lib/io.js';
+import { parseNewick, pruneTree, tipsOf } from './lib/newick.js';
+
+const NEWICK = path.join(ROOT, 'code', 'Viperidae.newick');
+const SPECIES_JSON = path.join(WEB_DATA, 'species_common.json');
+const OUT = path.join(WEB_DATA, 'phylogeny.json');
+
+const genusOf = sci => sci.split('_')[0];
+const round2 = v => Math.round(v * 100) / 100;
+
+// Output nodes: { id, length, age, clade?, children } inside, { sci, length } at
+// tips. age is the distance to the furthest tip (Ma for a dated tree).
+function annotate(n, ids) {
+  if (!n.children) return { node: { sci: n.name, length: round2(n.length) }, age: 0 };
+  const parts = n.children.map(c => annotate(c, ids));
+  const age = Math.max(...parts.map((p, k) => p.age + n.children[k].length));
+  const node = { id: `n${ids.next++}`, length: round2(n.length), age: round2(age), children: parts.map(p => p.node) };
+  return { node, age };
+}
+
+function tipNames(node) {
+  return node.children ? node.children.flatMap(tipNames) : [node.sci];
+}
+
+// Marks the highest node of every single-genus subtree; lone tips become
+// one-species clades
+function markClades(node, clades) {
+  const tips = tipNames(node);
+  const genera = new Set(tips.map(genusOf));
+  if (genera.size === 1) {
+    const genus = genusOf(tips[0]);
+    clades.push({ id: node.id || node.sci, name: genus, species: tips });
+    if (node.children) node.clade = genus;
+    return;
+  }
+  for (const c of node.children) markClades(c, clades);
+}
+
+(async () => {
+  const species = (await readJSON(SPECIES_JSON)).map(e => e.sci);
+  const full = parseNewick(await fs.readFile(NEWICK, 'utf8'));
+  const inTree = new Set(tipsOf(full));
+  const missing = species.filter(sci => !inTree.has(sci));
+  const pruned = pruneTree(full, new Set(species));
+  if (!pruned) throw new Error(`None of the ${species.length} species are in ${rel(NEWICK)}`);
+
+  const { node: tree } = annotate(pruned, { next: 0 });
+  tree.length = 0; // the stem below the root is not part of the pruned tree
+  const clades = [];
+  markClades(tree, clades);
+
+  const tips = tipNames(tree).length;
+  const size = await writeJSON(OUT, { source: rel(NEWICK), tips, clades, tree }, { pretty: false });
+  console.log(`Wrote ${rel(OUT)} (${tips} of ${inTree.size} tips, ${clades.length} clades, ${(size / 1024).toFixed(1)} KB)`);
+  if (missing.length) console.warn(`  not in the tree (listed outside the panel): ${missing.join(', ')}`);
+})().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,128 @@
+// Run: node scripts/build_sdm_overlays.js [--all] [--species=Crotalus_atrox,...] [--max-size=1024]
+// Turns data/sdms/*_avg_cloglog(.p10b).tif into Web Mercator PNG overlays with
+// bounds metadata for the web map. Defaults to the species in species_common.json.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fromFile } from 'geotiff';
+import { PNG } from 'pngjs';
+import { ROOT } from './lib/io.js';
+
+const SDM_DIR = path.join(ROOT, 'data', 'sdms');
+const SPECIES_JSON = path.join(ROOT, 'web', 'data', 'species_common.json');
+const OUT_DIR = path.join(ROOT, 'web', 'data', 'sdms');
+const OUT_INDEX = path.join(OUT_DIR, 'index.json');
+
+// Same models the Shiny app toggles: "Logistic Model" and "Threshold Model"
+const KINDS = [
+  { id: 'logistic',  suffix: '_avg_cloglog.tif' },
+  { id: 'threshold', suffix: '_avg_cloglog_p10b.tif' }
+];
+
+// Ramp from app.R (brPal, reversed): low suitability fades out, high is opaque purple
+const RAMP = [
+  [0.00, [0xFD, 0xE7, 0x25, 0x00]],
+  [0.25, [0x5D, 0xC8, 0x63, 0x66]],
+  [0.50, [0x21, 0x90, 0x8C, 0x99]],
+  [0.75, [0x3B, 0x52, 0x8B, 0xCC]],
+  [1.00, [0x44, 0x01, 0x54, 0xFF]]
+];
+
+function parseArgs(argv) {
+  const out = { all: false, species: null, maxSize: 1024 };
+  for (const a of argv) {
+    if (a === '--all') out.all = true;
+    else if (a.startsWith('--species=')) out.species = new Set(a.slice(10).split(',').filter(Boolean));
+    else if (a.startsWith('--max-size=')) out.maxSize = parseInt(a.slice(11), 10) || out.maxSize;
+  }
+  return out;
+}
+
+function rampColor(v) {
+  const x = Math.min(1, Math.max(0, v));
+  for (let i = 1; i < RAMP.length; i++) {
+    const [t1, c1] = RAMP[i];
+    if (x <= t1) {
+      const [t0, c0] = RAMP[i - 1];
+      const f = (x - t0) / (t1 - t0);
+      return c0.map((c, k) => Math.round(c + (c1[k] - c) * f));
+    }
+  }
+  return RAMP[RAMP.length - 1][1];
+}
+
+const MAX_LAT = 85.05112878;
+function mercY(lat) {
+  const phi = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI / 180;
+  return Math.log(Math.tan(Math.PI / 4 + phi / 2));
+}
+function latFromMercY(y) { return Math.atan(Math.sinh(y)) * 180 / Math.PI; }
+
+// Resample a lon/lat (EPSG:4326) raster onto rows evenly spaced in Web Mercator,
+// so L.imageOverlay can stretch it linearly without latitude distortion.
+async function renderOverlay(file, maxSize) {
+  const tiff = await fromFile(file);
+  const image = await tiff.getImage();
+  const [west, south, east, north] = image.getBoundingBox();
+  const srcW = image.getWidth(), srcH = image.getHeight();
+  const noData = image.getGDALNoData();
+  const [band] = await image.readRasters({ samples: [0] });
+
+  const yN = mercY(north), yS = mercY(south);
+  const spanX = (east - west) * Math.PI / 180;
+  let outW = Math.min(srcW, maxSize);
+  let outH = Math.max(1, Math.round(outW * (yN - yS) / spanX));
+  if (outH > maxSize) { outW = Math.max(1, Math.round(outW * maxSize / outH)); outH = maxSize; }
+
+  const png = new PNG({ width: outW, height: outH });
+  let painted = 0;
+  for (let j = 0; j < outH; j++) {
+    const lat = latFromMercY(yN - (j + 0.5) * (yN - yS) / outH);
+    const sr = Math.min(srcH - 1, Math.max(0, Math.floor((north - lat) / (north - south) * srcH)));
+    for (let i = 0; i < outW; i++) {
+      const sc = Math.min(srcW - 1, Math.floor((i + 0.5) / outW * srcW));
+      const v = band[sr * srcW + sc];
+      const o = (j * outW + i) * 4;
+      if (!Number.isFinite(v) || v === noData || v < -1e30) {
+        png.data[o + 3] = 0;
+        continue;
+      }
+      const [r, g, b, a] = rampColor(v);
+      png.data[o] = r; png.data[o + 1] = g; png.data[o + 2] = b; png.data[o + 3] = a;
+      if (a) painted++;
+    }
+  }
+  return { png, bounds: [[south, west], [north, east]], painted, width: outW, height: outH };
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  let wanted = args.species;
+  if (!wanted && !args.all) {
+    const speciesArr = JSON.parse(await fs.readFile(SPECIES_JSON, 'utf8'));
+    wanted = new Set(speciesArr.map(s => s.sci));
+  }
+
+  const files = (await fs.readdir(SDM_DIR)).filter(f => f.toLowerCase().endsWith('.tif')).sort();
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  const index = {};
+  let written = 0;
+  for (const f of files) {
+    const kind = KINDS.find(k => f.endsWith(k.suffix));
+    if (!kind) continue;
+    const sci = f.slice(0, -kind.suffix.length);
+    if (wanted && !wanted.has(sci)) continue;
+    try {
+      const { png, bounds, painted, width, height } = await renderOverlay(path.join(SDM_DIR, f), args.maxSize);
+      if (!painted) { console.warn(`Skipping ${f}: no data cells`); continue; }
+      const outName = `${sci}_${kind.id}.png`;
+      await fs.writeFile(path.join(OUT_DIR, outName), PNG.sync.write(png));
+      if (!index[sci]) index[sci] = {};
+      index[sci][kind.id] = { file: outName, bounds, width, height };
+      written++;
+    } catch (e) {
+      console.warn(`Failed to render ${f}: ${e.message}`);
+    }
+  }
+  await fs.writeFile(OUT_INDEX, JSON.stringify(index, null, 2), 'utf8');
+  console.log(`Wrote ${written} SDM overlays for ${Object.keys(index).length} species -> ${path.relative(ROOT, OUT_DIR)}`);
+})();
@@ -1,153 +1,246 @@
-// Run: node scripts/build_sightings_from_occurrence.js
+// Run: node scripts/build_sightings_from_occurrence.js [--region=usa] [--as-of=YYYY-MM-DD] [--incremental]
+//        [--max-age-days=N] [--sources=combined,gbif] [--source=<adapter>:<path>[:<label>]]
+// Reads every occurrence source in config/sources.json that is present (adapters
+// in lib/sources/), merges them in priority order and drops cross-source
+// duplicates; sightings_index.json records how many sightings each source gave.
+// Output depends only on the inputs and --as-of (default: today, UTC). Record
+// IDs hash the source record ID (or the record's content), so they survive the
+// inputs being reordered. --incremental diffs against the current output,
+// rewrites only changed species files and appends to sightings_changelog.json.
+// The full dated history is kept (the web time slider steps through years);
+// --max-age-days=N drops records more than N days before --as-of.
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import xlsx from 'xlsx';
+import { loadRegion } from './lib/regions.js';
+import { loadAdminBoundaries } from './lib/admin.js';
+import { loadSpeciesRange, flagRecord, writeOutlierReport } from './lib/ranges.js';
+import { sightingKey, sightingId } from './lib/ids.js';
+import { ROOT } from './lib/io.js';
+import { resolveSources, readSource, SOURCES_JSON } from './lib/sources/index.js';
 
-const ROOT = process.cwd();
-const OCC_XLSX = path.join(ROOT, 'data', 'occurrence', 'combined_records_v4_clean.xlsx');
 const SPECIES_JSON = path.join(ROOT, 'web', 'data', 'species_common.json');
 const OUT_DIR = path.join(ROOT, 'web', 'data', 'sightings');
 const OUT_INDEX = path.join(ROOT, 'web', 'data', 'sightings_index.json');
+const OUT_CHANGELOG = path.join(ROOT, 'web', 'data', 'sightings_changelog.json');
 
-// US coarse boxes (lon/lat)
-const BOXES = [
-	[-125, 24.5, -66.9, 49.5],  // Contiguous US
-	[-170, 52, -129, 71.5],     // Alaska
-	[-161, 18.5, -154.5, 22.75] // Hawaii
-];
-
-const DAYS_WINDOW = 365; // recent sightings only
 const MAX_UNCERTAINTY_M = 50000;
 
-function inUS(lon, lat) {
-	return BOXES.some(([minX,minY,maxX,maxY]) => lon>=minX && lon<=maxX && lat>=minY && lat<=maxY);
+function parseArgs(argv) {
+	const out = { asOf: null, incremental: false, maxAgeDays: Infinity };
+	for (const a of argv) {
+		if (a.startsWith('--as-of=')) out.asOf = a.slice(8);
+		else if (a === '--incremental') out.incremental = true;
+		else if (a.startsWith('--max-age-days=')) out.maxAgeDays = Number(a.slice(15));
+	}
+	if (!(out.maxAgeDays > 0)) {
+		console.error('Bad --max-age-days (want a positive number of days)'); process.exit(1);
+	}
+	if (out.asOf && !/^\d{4}-\d{2}-\d{2}$/.test(out.asOf)) {
+		console.error(`Bad --as-of date "${out.asOf}" (want YYYY-MM-DD)`); process.exit(1);
+	}
+	out.asOf = out.asOf || new Date().toISOString().slice(0, 10);
+	return out;
 }
 
-function firstKey(o, names) {
-	for (const k of names) if (k in o) return k;
-	return null;
+// Days between a record and the reference date (end of the --as-of day, UTC)
+function ageDays(iso, asOfMs){
+	if (!iso) return Infinity;
+	const ms = asOfMs - new Date(iso).getTime();
+	return ms / (1000*60*60*24);
 }
 
-function toISODate(v){
-	if (!v) return null;
-	const d = new Date(v);
-	return isNaN(d) ? null : d.toISOString();
+function tally(provenance, sci, sourceId) {
+	if (!provenance.has(sci)) provenance.set(sci, new Map());
+	const bySource = provenance.get(sci);
+	if (!bySource.has(sourceId)) bySource.set(sourceId, { kept: 0, merged: 0 });
+	return bySource.get(sourceId);
 }
 
-function ageDays(iso){
-	if (!iso) return Infinity;
-	const ms = Date.now() - new Date(iso).getTime();
-	return ms / (1000*60*60*24);
+async function readPrevious() {
+	const prev = new Map(); // sci -> Map(id -> record)
+	let files = [];
+	try { files = (await fs.readdir(OUT_DIR)).filter(f => f.endsWith('.json')); } catch {}
+	for (const f of files) {
+		try {
+			const arr = JSON.parse(await fs.readFile(path.join(OUT_DIR, f), 'utf8'));
+			prev.set(f.slice(0, -5), new Map(arr.map(r => [r.id, r])));
+		} catch {}
+	}
+	return prev;
+}
+
+// Per-species added/removed/changed record IDs between two builds
+function diffBuilds(prev, next) {
+	const species = {};
+	const totals = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+	const all = new Set([...prev.keys(), ...next.keys()]);
+	for (const sci of Array.from(all).sort()) {
+		const before = prev.get(sci) || new Map();
+		const after = new Map((next.get(sci) || []).map(r => [r.id, r]));
+		const d = { added: [], removed: [], changed: [] };
+		for (const [id, rec] of after) {
+			if (!before.has(id)) d.added.push(id);
+			else if (JSON.stringify(before.get(id)) !== JSON.stringify(rec)) d.changed.push(id);
+			else totals.unchanged++;
+		}
+		for (const id of before.keys()) if (!after.has(id)) d.removed.push(id);
+		totals.added += d.added.length; totals.removed += d.removed.length; totals.changed += d.changed.length;
+		if (d.added.length || d.removed.length || d.changed.length) species[sci] = d;
+	}
+	return { totals, species };
 }
 
 (async () => {
-	// Load venomous species set
+	const args = parseArgs(process.argv.slice(2));
+	const asOfMs = Date.parse(`${args.asOf}T23:59:59.999Z`);
+	const region = await loadRegion();
+	const admin = await loadAdminBoundaries();
+	// Load the region's species set
 	const speciesArr = JSON.parse(await fs.readFile(SPECIES_JSON, 'utf8'));
 	const venomSet = new Set(speciesArr.map(s => s.sci));
 
-	const wb = xlsx.readFile(OCC_XLSX, { cellDates: true });
-	const sheet = wb.Sheets[wb.SheetNames[0]];
-	const rows = xlsx.utils.sheet_to_json(sheet, { defval: '' });
-
-	if (!rows.length) {
-		console.error('No rows in occurrence sheet'); process.exit(1);
-	}
-
-	// Detect columns based on actual headers
-	const sample = rows[0];
-	const kSci = firstKey(sample, ['final_species','taxonomy_updated_species','scientific_name','scientificName','species','Species']);
-	const kLat = firstKey(sample, ['decimalLatitude','latitude','lat']);
-	const kLon = firstKey(sample, ['decimalLongitude','longitude','lon']);
-	// Try multiple date fields
-	const kDate = firstKey(sample, ['eventDate','EventDate','date','observed_on','ObservationDate','verbatimEventDate']);
-	const kYear = firstKey(sample, ['year','Year']);
-	const kMonth = firstKey(sample, ['month','Month']);
-	const kDay = firstKey(sample, ['day','Day']);
-	const kCtry = firstKey(sample, ['country','countryCode','Country']);
-	const kSrc = firstKey(sample, ['source','datasetName','Dataset','provider']);
-	const kMedia = firstKey(sample, ['hasMedia','mediaType','voucher','photo']);
-
-	let kept = 0, dropped_uncert=0, dropped_coords=0, dropped_country=0, dropped_old=0, deduped=0;
+	const sources = await resolveSources();
+	const stats = new Map();      // source id -> counts
+	const provenance = new Map(); // sci -> Map(source id -> { kept, merged })
+	let kept = 0, dropped_uncert=0, dropped_coords=0, dropped_country=0, dropped_old=0, dropped_kind=0, deduped=0, merged=0, at_sea=0;
+	const mismatches = new Map(); // "claimed -> assigned" -> count (source country vs polygons)
 	const perSpecies = new Map(); // sci -> array
-	const dedupSet = new Set();   // keys for dedup
-	for (let i=0;i<rows.length;i++) {
-		const r = rows[i];
-		let sci = String(r[kSci] || '').trim();
-		if (!sci) continue;
-		sci = sci.replace(/\s+/g,'_');
-		if (!venomSet.has(sci)) continue;
-
-		const lat = Number(r[kLat]); const lon = Number(r[kLon]);
-		if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) { dropped_coords++; continue; }
-
-		const ccRaw = String(r[kCtry] || '').trim().toUpperCase();
-		const isUSCountry = ccRaw === 'US' || ccRaw === 'USA' || ccRaw === 'UNITED STATES' || ccRaw === 'UNITED STATES OF AMERICA';
-		if (!isUSCountry && !inUS(lon, lat)) { dropped_country++; continue; }
-
-		let iso = kDate ? toISODate(r[kDate]) : null;
-		if (!iso && (kYear || kMonth || kDay)) {
-			const y = kYear ? String(r[kYear]||'').trim() : '';
-			const m = kMonth ? String(r[kMonth]||'').trim() : '';
-			const d = kDay ? String(r[kDay]||'').trim() : '';
-			const candidate = [y, m || '1', d || '1'].join('-');
-			const candISO = toISODate(candidate);
-			if (candISO) iso = candISO;
+	// Dedup within a source: same spot (5 decimals) and day, or same record ID.
+	// Across sources also: same ~100 m cell and day, since sources round differently.
+	const seenExact = new Map();  // sightingKey -> source id
+	const seenNative = new Map(); // native record ID -> source id
+	const seenNear = new Map();   // nearKey -> source id
+	const nearKey = rec => rec.ts ? `${rec.sci}|${rec.lat.toFixed(3)}|${rec.lon.toFixed(3)}|${rec.ts.slice(0, 10)}` : null;
+
+	for (const src of sources) {
+		const records = await readSource(src);
+		if (!records) { console.log(`Source ${src.id}: ${src.path} not found, skipped`); continue; }
+		const st = { read: records.length, kept: 0, merged: 0 };
+		stats.set(src.id, st);
+		for (const raw of records) {
+			const sci = raw.sci;
+			if (!sci) continue;
+			if (!venomSet.has(sci)) continue;
+
+			if (raw.lat == null || raw.lon == null) { dropped_coords++; continue; }
+			const { lat, lon } = raw;
+
+			// Country and state/province from the admin-1 polygons, not the source column
+			const place = admin.assign(lon, lat);
+			if (!place) at_sea++;
+			const claimed = raw.country;
+			if (claimed && place && !admin.sameCountry(claimed, place)) {
+				const key = `${claimed} -> ${place.country}`;
+				mismatches.set(key, (mismatches.get(key) || 0) + 1);
+			}
+			if (!region.containsPlace(place) && !region.contains(lon, lat)) { dropped_country++; continue; }
+
+			const iso = raw.ts;
+			if (iso && ageDays(iso, asOfMs) > args.maxAgeDays) { dropped_old++; continue; }
+			if (iso && ageDays(iso, asOfMs) < 0) { dropped_old++; continue; } // after the reference date
+
+			// QC: coordinate uncertainty; wild, living animals only
+			if (raw.uncertainty_m != null && raw.uncertainty_m > MAX_UNCERTAINTY_M) { dropped_uncert++; continue; }
+			if (raw.captive || raw.source_kind === 'preserved_specimen') { dropped_kind++; continue; }
+
+			const rec = {
+				id: null, // set below once duplicates are ruled out
+				sci,
+				ts: iso,
+				lat: Number(lat.toFixed(5)),
+				lon: Number(lon.toFixed(5)),
+				country: place ? place.country : null,
+				state: place ? place.state : null,
+				state_name: place ? place.state_name : null,
+				source: raw.source || 'unknown',
+				origin: src.id,
+				photo: raw.photo,
+				verified: raw.verified,
+				source_kind: raw.source_kind,
+				highlight: !!(raw.photo || iso)
+			};
+
+			const key = sightingKey(rec);
+			const near = nearKey(rec);
+			let first = (raw.native_id && seenNative.get(raw.native_id)) || seenExact.get(key);
+			if (!first && near && seenNear.has(near) && seenNear.get(near) !== src.id) first = seenNear.get(near);
+			if (first) {
+				if (first === src.id) deduped++;
+				else { merged++; st.merged++; tally(provenance, sci, src.id).merged++; }
+				continue;
+			}
+			if (raw.native_id) seenNative.set(raw.native_id, src.id);
+			seenExact.set(key, src.id);
+			if (near && !seenNear.has(near)) seenNear.set(near, src.id);
+			rec.id = sightingId(rec, raw.native_id);
+
+			if (!perSpecies.has(sci)) perSpecies.set(sci, []);
+			perSpecies.get(sci).push(rec);
+			tally(provenance, sci, src.id).kept++;
+			st.kept++;
+			kept++;
 		}
-		if (iso && ageDays(iso) > DAYS_WINDOW) { dropped_old++; continue; }
-
-		// QC: coordinate uncertainty, establishment/basis if present
-		const uncert = Number(r['coordinateUncertaintyInMeters'] || r['coordUncertaintyM'] || r['uncertainty'] || '');
-		if (isFinite(uncert) && uncert > MAX_UNCERTAINTY_M) { dropped_uncert++; continue; }
-		const est = String(r['establishmentMeans'] || '').toLowerCase();
-		if (est.includes('captive') || est.includes('cultivated')) { continue; }
-		const basis = String(r['basisOfRecord'] || '').toLowerCase();
-		if (basis.includes('fossil') || basis.includes('preserved')) { continue; }
-
-		const source = String(r[kSrc] || '').slice(0,120);
-		const hasPhoto = (() => {
-			const v = String(r[kMedia] || '').toLowerCase();
-			return ['true','photo','image','photograph','voucher'].some(x => v.includes(x));
-		})();
-
-		const sLower = source.toLowerCase();
-		const isPreserved = /preserved|specimen|museum/.test(sLower);
-		if (isPreserved) { continue; }
-		const isHumanObs = /human|observation|inat|gbif|herp/.test(sLower);
-		const verified = /inat|gbif|herp|human/i.test(source);
-
-		const rec = {
-			id: `occ_${i}`,
-			sci,
-			ts: iso,
-			lat: Number(lat.toFixed(5)),
-			lon: Number(lon.toFixed(5)),
-			source: source || 'unknown',
-			photo: hasPhoto,
-			verified,
-			source_kind: isPreserved ? 'preserved_specimen' : (isHumanObs ? 'human_observation' : 'other'),
-			highlight: !!(hasPhoto || (iso && !isPreserved))
-		};
-
-		// Dedup key: sci + rounded coords + day bucket (if date present)
-		const dayBucket = iso ? Math.floor(new Date(iso).getTime() / 86400000) : 'nodate';
-		const key = `${rec.sci}|${rec.lat}|${rec.lon}|${dayBucket}`;
-		if (dedupSet.has(key)) { deduped++; continue; }
-		dedupSet.add(key);
-
-		if (!perSpecies.has(sci)) perSpecies.set(sci, []);
-		perSpecies.get(sci).push(rec);
-
-		kept++;
 	}
+	if (!stats.size) {
+		console.error(`No occurrence sources found (configured in ${path.relative(ROOT, SOURCES_JSON)})`); process.exit(1);
+	}
+
+	// Check every record against its species' mapped range
+	for (const [sci, arr] of perSpecies.entries()) {
+		const range = await loadSpeciesRange(sci);
+		for (const rec of arr) flagRecord(rec, range);
+	}
+
+	// Deterministic order regardless of sheet order
+	for (const arr of perSpecies.values()) arr.sort((a, b) => a.id.localeCompare(b.id));
+
+	const prev = args.incremental ? await readPrevious() : null;
+	const diff = prev ? diffBuilds(prev, perSpecies) : null;
 
 	await fs.mkdir(OUT_DIR, { recursive: true });
 	const index = [];
-	for (const [sci, arr] of perSpecies.entries()) {
+	for (const sci of Array.from(perSpecies.keys()).sort()) {
+		const arr = perSpecies.get(sci);
 		const p = path.join(OUT_DIR, `${sci}.json`);
-		await fs.writeFile(p, JSON.stringify(arr, null, 2), 'utf8');
-		index.push({ sci, count: arr.length, bytes: (await fs.stat(p)).size, latest_ts: arr.reduce((m, s) => !m || (s.ts && s.ts > m) ? s.ts : m, null) });
+		const unchanged = diff && prev.has(sci) && !diff.species[sci];
+		if (!unchanged) await fs.writeFile(p, JSON.stringify(arr, null, 2), 'utf8');
+		index.push({
+			sci, count: arr.length, bytes: (await fs.stat(p)).size,
+			latest_ts: arr.reduce((m, s) => !m || (s.ts && s.ts > m) ? s.ts : m, null),
+			sources: Object.fromEntries(provenance.get(sci))
+		});
 	}
+	if (prev) {
+		// Species with no records left
+		for (const sci of prev.keys()) {
+			if (!perSpecies.has(sci)) await fs.rm(path.join(OUT_DIR, `${sci}.json`), { force: true });
+		}
+	}
+	index.sort((a, b) => b.count - a.count || a.sci.localeCompare(b.sci));
 	await fs.writeFile(OUT_INDEX, JSON.stringify(index, null, 2), 'utf8');
-	console.log(`Kept ${kept} USA venomous sightings across ${perSpecies.size} species -> ${path.relative(ROOT, OUT_DIR)}`);
-	console.log(`Dropped: coords=${dropped_coords}, country=${dropped_country}, old=${dropped_old}, uncert>${MAX_UNCERTAINTY_M}m=${dropped_uncert}, dedup=${deduped}`);
+
+	if (diff) {
+		let log = [];
+		try { log = JSON.parse(await fs.readFile(OUT_CHANGELOG, 'utf8')); } catch {}
+		log.unshift({ as_of: args.asOf, region: region.id, sources: Array.from(stats.keys()), ...diff });
+		await fs.writeFile(OUT_CHANGELOG, JSON.stringify(log, null, 2), 'utf8');
+		const t = diff.totals;
+		console.log(`Changes since last build: +${t.added} -${t.removed} ~${t.changed} (=${t.unchanged}) -> ${path.relative(ROOT, OUT_CHANGELOG)}`);
+		for (const [sci, d] of Object.entries(diff.species)) {
+			console.log(`  ${sci}: +${d.added.length} -${d.removed.length} ~${d.changed.length}`);
+		}
+	}
+	console.log(`As of ${args.asOf}: kept ${kept} ${region.name} sightings across ${perSpecies.size} species -> ${path.relative(ROOT, OUT_DIR)}`);
+	for (const [id, st] of stats) console.log(`  ${id}: read ${st.read}, kept ${st.kept}, duplicates of earlier sources ${st.merged}`);
+	console.log(`Dropped: coords=${dropped_coords}, country=${dropped_country}, old=${dropped_old}, uncert>${MAX_UNCERTAINTY_M}m=${dropped_uncert}, captive/specimen=${dropped_kind}, dedup=${deduped}, cross-source=${merged}`);
+	console.log(`No admin area (offshore): ${at_sea}`);
+	const report = await writeOutlierReport(perSpecies, { asOf: args.asOf });
+	for (const s of report.filter(x => x.out_of_range)) {
+		console.log(`  out of range: ${s.sci} ${s.out_of_range}/${s.count} (max ${s.max_km ?? '?'} km)`);
+	}
+	if (mismatches.size) {
+		const total = Array.from(mismatches.values()).reduce((a, b) => a + b, 0);
+		console.log(`Border mismatches (source country vs polygon): ${total}`);
+		for (const [k, n] of Array.from(mismatches).sort((a, b) => b[1] - a[1]).slice(0, 20)) console.log(`  ${k}: ${n}`);
+	}
 })();
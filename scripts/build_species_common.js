@@ -1,33 +1,30 @@
-// Run: node scripts/build_species_common.js
+// Run: node scripts/build_species_common.js [--region=usa]
+// Species list for one region edition; regions live in config/regions.json.
+// Each entry carries its common names by language (names: { en, es, pt, de, … },
+// parsed from the supplemental table and topped up from config/common_names.json),
+// former names (aliases, for search) and the subspecies its distribution is
+// split into; see scripts/lib/names.js and scripts/lib/taxonomy.js.
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import xlsx from 'xlsx';
+import { loadRegion } from './lib/regions.js';
+import { ROOT, DIST_DIR, sciFromFilename, listDistributionSpecies, readJSON } from './lib/io.js';
+import { parseCommonNames } from './lib/names.js';
+import { occurrenceSynonyms, curatedSynonyms, formerNames, subspeciesOf } from './lib/taxonomy.js';
 
-const ROOT = process.cwd();
-const DIST_DIR = path.join(ROOT, 'data', 'distributions');
 const SUPP_XLSX = path.join(ROOT, 'supplemental_material', 'SupplementalTable1.xlsx');
 const OUT = path.join(ROOT, 'web', 'data', 'species_common.json');
+const OUT_REGION = path.join(ROOT, 'web', 'data', 'region.json');
+const NAMES_JSON = path.join(ROOT, 'config', 'common_names.json');
 
-const VENOMOUS_GENERA = new Set(['Agkistrodon','Crotalus','Sistrurus','Micrurus','Micruroides']);
-
-// US coarse boxes (lon/lat)
-const USA_BOXES = [
-	[-125, 24.5, -66.9, 49.5],  // Contiguous US
-	[-170, 52, -129, 71.5],     // Alaska
-	[-161, 18.5, -154.5, 22.75] // Hawaii
-];
-
-function sciFromFilename(fname) {
-	return fname.replace(/\.geojson$/i, '');
-}
 function prettySci(sci){ return sci.replace(/_/g,' '); }
 
-async function listVenomousSpeciesFromDistributions() {
+async function listSpeciesFromDistributions(region) {
 	const files = await fs.readdir(DIST_DIR);
 	return files
 		.filter(f => f.toLowerCase().endsWith('.geojson'))
 		.map(sciFromFilename)
-		.filter(sci => VENOMOUS_GENERA.has(sci.split('_')[0]));
+		.filter(sci => region.allowTaxon(sci));
 }
 
 function loadCommonNameMap() {
@@ -44,8 +41,7 @@ function loadCommonNameMap() {
 		for (const r of rows) {
 			const sciRaw = String(r[sciKey] || '').trim().replace(/\s+/g,'_');
 			if (!sciRaw) continue;
-			const com = comKey ? String(r[comKey] || '').trim() : '';
-			if (!map.has(sciRaw)) map.set(sciRaw, com);
+			if (!map.has(sciRaw)) map.set(sciRaw, comKey ? parseCommonNames(r[comKey]) : {});
 		}
 		return map;
 	} catch (e) {
@@ -53,78 +49,56 @@ function loadCommonNameMap() {
 	}
 }
 
-function computeGeoJSONBbox(geo) {
-	let minX =  Infinity, minY =  Infinity, maxX = -Infinity, maxY = -Infinity;
-	function visitCoords(coords) {
-		if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-			const x = coords[0], y = coords[1];
-			if (x < minX) minX = x; if (y < minY) minY = y;
-			if (x > maxX) maxX = x; if (y > maxY) maxY = y;
-			return;
-		}
-		for (const c of coords) visitCoords(c);
-	}
-	function visitFeature(f) {
-		const g = f && f.geometry;
-		if (!g) return;
-		if (g.type === 'GeometryCollection') {
-			for (const gg of g.geometries) visitFeature({ geometry: gg });
-		} else if (g.coordinates) {
-			visitCoords(g.coordinates);
-		}
-	}
-	if (geo.type === 'FeatureCollection') {
-		for (const f of geo.features) visitFeature(f);
-	} else if (geo.type === 'Feature') {
-		visitFeature(geo);
-	} else if (geo && geo.type) {
-		visitFeature({ geometry: geo });
-	}
-	if (minX === Infinity) return null;
-	return [minX, minY, maxX, maxY];
-}
-
-function bboxIntersectsUS(bbox){
-	if (!bbox) return false;
-	const [minX,minY,maxX,maxY] = bbox;
-	for (const [uMinX,uMinY,uMaxX,uMaxY] of USA_BOXES) {
-		const sepX = uMinX > maxX || uMaxX < minX;
-		const sepY = uMinY > maxY || uMaxY < minY;
-		if (!(sepX || sepY)) return true;
-	}
-	return false;
-}
-
 (async () => {
-	const species = await listVenomousSpeciesFromDistributions();
+	const region = await loadRegion();
+	const species = await listSpeciesFromDistributions(region);
 	const nameMap = loadCommonNameMap();
+	const extraNames = (await readJSON(NAMES_JSON, {})).names || {};
+	const taxonomy = {
+		fromOccurrence: occurrenceSynonyms(),
+		curated: await curatedSynonyms(),
+		current: new Set(await listDistributionSpecies())
+	};
 
-	// Filter species to those with US intersection
+	// Keep species with enough of their range inside the region boundary
 	const kept = [];
+	const subspecies = new Map();
 	for (const sci of species) {
 		try {
 			const geoPath = path.join(DIST_DIR, `${sci}.geojson`);
 			const raw = await fs.readFile(geoPath, 'utf8');
 			const geo = JSON.parse(raw);
-			const bbox = computeGeoJSONBbox(geo);
-			if (!bboxIntersectsUS(bbox)) continue;
+			const share = region.rangeShare(geo);
+			if (share <= 0 || share < region.minRangeShare) continue;
 			kept.push(sci);
+			subspecies.set(sci, subspeciesOf(geo, sci));
 		} catch (e) {
 			// skip unreadable
 		}
 	}
 
 	const out = kept.map(sci => {
-		const common = nameMap.get(sci) || '';
+		const names = { ...(nameMap.get(sci) || {}), ...(extraNames[sci] || {}) };
 		return {
 			sci,
-			common: common || prettySci(sci),
-			aliases: [],
+			common: names.en || prettySci(sci),
+			names,
+			aliases: formerNames(sci, taxonomy),
+			subspecies: subspecies.get(sci),
 			venom_risk: "high"
 		};
 	}).sort((a,b) => (a.common || a.sci).localeCompare(b.common || b.sci));
 
 	await fs.mkdir(path.dirname(OUT), { recursive: true });
 	await fs.writeFile(OUT, JSON.stringify(out, null, 2), 'utf8');
-	console.log(`Wrote ${out.length} USA-venomous species (with US intersection) to ${path.relative(ROOT, OUT)}`);
+	// Edition metadata for the web app (title, initial view, admin-1 areas for
+	// the offline pack picker)
+	const edition = { id: region.id, name: region.name, bbox: region.bbox.map(v => Number(v.toFixed(3))), view: region.view, areas: region.areas };
+	await fs.writeFile(OUT_REGION, JSON.stringify(edition, null, 2), 'utf8');
+	console.log(`Wrote ${out.length} ${region.name} species (range inside region) to ${path.relative(ROOT, OUT)}`);
+	const withAliases = out.filter(e => e.aliases.length).length;
+	const langs = {};
+	for (const e of out) for (const l of Object.keys(e.names)) langs[l] = (langs[l] || 0) + 1;
+	console.log(`  common names: ${Object.entries(langs).map(([l, n]) => `${l} ${n}`).join(', ')}`);
+	console.log(`  former names for ${withAliases} species (${taxonomy.fromOccurrence.size ? 'occurrence sheet + ' : ''}config/synonyms.json), subspecies for ${out.filter(e => e.subspecies.length).length}`);
 })();
@@ -0,0 +1,87 @@
+// Run: node scripts/build_species_profiles.js
+// Facts for the species profile drawer (web/profile.js), one entry per species
+// in web/data/species_common.json:
+//   area_km2         range area on a spherical Earth
+//   countries/states where the range lies, with the share of the range in each
+//                    (range sampled on a grid against data/boundaries/admin1.json)
+//   sightings        dated records by year and by month from web/data/sightings/
+// Run after `build species` and `build sightings`.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DIST_DIR, WEB_DATA, readJSON, writeJSON, rel } from './lib/io.js';
+import { polygonsOf, bboxOfPolygons, polygonAreaKm2, scanPolygon, gridFor } from './lib/geo.js';
+import { loadAdminBoundaries } from './lib/admin.js';
+
+const SPECIES_JSON = path.join(WEB_DATA, 'species_common.json');
+const SIGHTINGS_DIR = path.join(WEB_DATA, 'sightings');
+const OUT = path.join(WEB_DATA, 'species_profiles.json');
+
+const CELL = 0.1;             // sampling grid (degrees)
+const MIN_PLACE_SHARE = 0.005; // smaller slivers are smoothing artefacts, not range
+const round3 = v => Math.round(v * 1000) / 1000;
+
+// Share of the range's grid cells in each admin-1 area and country
+function placesOf(polygons, admin) {
+  const bbox = bboxOfPolygons(polygons);
+  const grid = gridFor(bbox, CELL);
+  const cells = new Set();
+  for (const rings of polygons) scanPolygon(rings, grid, (r, c) => cells.add(r * grid.cols + c));
+  const states = new Map();   // state code -> { code, name, country, cells }
+  const countries = new Map(); // ISO2 -> { code, name, cells }
+  let total = 0;
+  for (const k of cells) {
+    const lon = grid.minX + (k % grid.cols + 0.5) * CELL;
+    const lat = grid.minY + (Math.floor(k / grid.cols) + 0.5) * CELL;
+    const place = admin.assign(lon, lat);
+    if (!place) continue;
+    total++;
+    if (!countries.has(place.country)) countries.set(place.country, { code: place.country, name: place.country_name, cells: 0 });
+    countries.get(place.country).cells++;
+    if (!states.has(place.state)) states.set(place.state, { code: place.state, name: place.state_name, country: place.country, cells: 0 });
+    states.get(place.state).cells++;
+  }
+  const shares = map => Array.from(map.values())
+    .map(({ cells: n, ...rest }) => ({ ...rest, share: round3(n / total) }))
+    .filter(p => p.share >= MIN_PLACE_SHARE)
+    .sort((a, b) => b.share - a.share);
+  return total ? { countries: shares(countries), states: shares(states) } : { countries: [], states: [] };
+}
+
+async function sightingCounts(sci) {
+  let records;
+  try {
+    records = JSON.parse(await fs.readFile(path.join(SIGHTINGS_DIR, `${sci}.json`), 'utf8'));
+  } catch {
+    return { total: 0, undated: 0, by_year: {}, by_month: new Array(12).fill(0) };
+  }
+  const byYear = {};
+  const byMonth = new Array(12).fill(0);
+  let undated = 0;
+  for (const s of records) {
+    const d = s.ts ? new Date(s.ts) : null;
+    if (!d || Number.isNaN(d.getTime())) { undated++; continue; }
+    const y = String(d.getUTCFullYear());
+    byYear[y] = (byYear[y] || 0) + 1;
+    byMonth[d.getUTCMonth()]++;
+  }
+  return { total: records.length, undated, by_year: byYear, by_month: byMonth };
+}
+
+(async () => {
+  const species = await readJSON(SPECIES_JSON);
+  const admin = await loadAdminBoundaries();
+  const out = {};
+  for (const { sci } of species) {
+    const geo = JSON.parse(await fs.readFile(path.join(DIST_DIR, `${sci}.geojson`), 'utf8'));
+    const polygons = polygonsOf(geo);
+    const area = polygons.reduce((a, rings) => a + polygonAreaKm2(rings), 0);
+    out[sci] = { area_km2: Math.round(area), ...placesOf(polygons, admin), sightings: await sightingCounts(sci) };
+  }
+  const size = await writeJSON(OUT, out, { pretty: false });
+  const dated = Object.values(out).reduce((a, p) => a + p.sightings.total - p.sightings.undated, 0);
+  console.log(`Wrote ${rel(OUT)} (${species.length} species, ${dated.toLocaleString()} dated sightings, ${(size / 1024).toFixed(1)} KB)`);
+  const total = Object.values(out).reduce((a, p) => a + p.sightings.total, 0);
+  if (total && !dated) {
+    console.warn(`Warning: none of the ${total.toLocaleString()} sightings has a date, so the profile activity charts are empty; rebuild sightings (build sightings) from dated sources`);
+  }
+})().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,80 @@
+// Country and state/province assignment against the bundled admin-1 polygons
+// (data/boundaries/admin1.json, see build_admin_boundaries.js).
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pointInPolygon } from './geo.js';
+import { ROOT } from './io.js';
+
+export const ADMIN1_JSON = path.join(ROOT, 'data', 'boundaries', 'admin1.json');
+
+const BUCKET = 1;                 // degrees per lookup bucket
+const COAST_STEPS = [0.02, 0.05]; // retry offsets (degrees) for points just offshore
+
+// Country names the boundary data does not spell out (ISO2 -> upper-case names)
+export const COUNTRY_ALIASES = { US: ['USA', 'UNITED STATES', 'UNITED STATES OF AMERICA'] };
+
+function bucketKey(col, row) { return row * 360 + col; }
+
+let featuresPromise = null;
+
+// Admin-1 areas: { country, country3, country_name, state, state_name, bbox, polygons }
+export function readAdminFeatures() {
+  if (!featuresPromise) {
+    featuresPromise = fs.readFile(ADMIN1_JSON, 'utf8').then(raw => JSON.parse(raw).features);
+  }
+  return featuresPromise;
+}
+
+export async function loadAdminBoundaries() {
+  const features = await readAdminFeatures();
+  const buckets = new Map(); // bucket -> feature indices whose bbox touches it
+  const iso3 = new Map();    // ISO2 -> ISO3
+  features.forEach((f, i) => {
+    if (f.country) iso3.set(f.country, f.country3);
+    const [minX, minY, maxX, maxY] = f.bbox;
+    for (let row = Math.floor(minY + 90); row <= Math.floor(maxY + 90); row++) {
+      for (let col = Math.floor(minX + 180); col <= Math.floor(maxX + 180); col++) {
+        const k = bucketKey(col, row);
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(i);
+      }
+    }
+  });
+
+  function hit(lon, lat) {
+    const col = Math.min(359, Math.floor((lon + 180) / BUCKET));
+    const row = Math.min(179, Math.floor((lat + 90) / BUCKET));
+    for (const i of buckets.get(bucketKey(col, row)) || []) {
+      const f = features[i];
+      const [minX, minY, maxX, maxY] = f.bbox;
+      if (lon < minX || lon > maxX || lat < minY || lat > maxY) continue;
+      if (f.polygons.some(rings => pointInPolygon(lon, lat, rings))) return f;
+    }
+    return null;
+  }
+
+  // { country, country_name, state, state_name } or null (open sea)
+  function assign(lon, lat) {
+    let f = hit(lon, lat);
+    for (const d of COAST_STEPS) {
+      if (f) break;
+      for (const [dx, dy] of [[d, 0], [-d, 0], [0, d], [0, -d], [d, d], [d, -d], [-d, d], [-d, -d]]) {
+        f = hit(lon + dx, lat + dy);
+        if (f) break;
+      }
+    }
+    if (!f) return null;
+    return { country: f.country, country_name: f.country_name, state: f.state, state_name: f.state_name };
+  }
+
+  // Does a free-text country value (ISO2/ISO3/name) refer to the same country?
+  function sameCountry(value, assigned) {
+    const v = String(value || '').trim().toUpperCase();
+    if (!v || !assigned) return true;
+    const names = [assigned.country, iso3.get(assigned.country), assigned.country_name].filter(Boolean).map(s => s.toUpperCase());
+    names.push(...(COUNTRY_ALIASES[assigned.country] || []));
+    return names.includes(v);
+  }
+
+  return { assign, sameCountry };
+}
@@ -0,0 +1,115 @@
+// Planar geometry helpers shared by the build scripts (lon/lat degrees).
+
+// Polygons (arrays of rings) of any GeoJSON object
+export function polygonsOf(geo) {
+  const out = [];
+  const visit = g => {
+    if (!g) return;
+    if (g.type === 'Polygon') out.push(g.coordinates);
+    else if (g.type === 'MultiPolygon') out.push(...g.coordinates);
+    else if (g.type === 'GeometryCollection') g.geometries.forEach(visit);
+  };
+  const items = geo.type === 'FeatureCollection' ? geo.features : [geo];
+  for (const f of items) visit(f && f.type === 'Feature' ? f.geometry : f);
+  return out;
+}
+
+// [minX, minY, maxX, maxY] over every coordinate of any GeoJSON object, or null
+export function bboxOfGeoJSON(geo) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const visitCoords = coords => {
+    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
+      const [x, y] = coords;
+      if (x < minX) minX = x; if (y < minY) minY = y;
+      if (x > maxX) maxX = x; if (y > maxY) maxY = y;
+      return;
+    }
+    for (const c of coords) visitCoords(c);
+  };
+  const visit = g => {
+    if (!g) return;
+    if (g.type === 'GeometryCollection') g.geometries.forEach(visit);
+    else if (g.coordinates) visitCoords(g.coordinates);
+  };
+  if (!geo) return null;
+  const items = geo.type === 'FeatureCollection' ? geo.features : [geo];
+  for (const f of items) visit(f && f.type === 'Feature' ? f.geometry : f);
+  return minX === Infinity ? null : [minX, minY, maxX, maxY];
+}
+
+export function bboxOfPolygons(polygons) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const rings of polygons) {
+    for (const [x, y] of rings[0]) {
+      if (x < minX) minX = x; if (y < minY) minY = y;
+      if (x > maxX) maxX = x; if (y > maxY) maxY = y;
+    }
+  }
+  return minX === Infinity ? null : [minX, minY, maxX, maxY];
+}
+
+// Even-odd test across all rings, so holes are respected
+export function pointInPolygon(lon, lat, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Calls visit(row, col) for each grid cell whose centre lies inside the polygon
+export function scanPolygon(rings, grid, visit) {
+  const { minX, minY, cell, cols, rows } = grid;
+  const crossings = new Map(); // row -> [x...]
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x1, y1] = ring[i], [x2, y2] = ring[i + 1];
+      if (y1 === y2) continue;
+      const lo = Math.min(y1, y2), hi = Math.max(y1, y2);
+      const r0 = Math.max(0, Math.ceil((lo - minY) / cell - 0.5));
+      const r1 = Math.min(rows - 1, Math.floor((hi - minY) / cell - 0.5));
+      for (let r = r0; r <= r1; r++) {
+        const cy = minY + (r + 0.5) * cell;
+        if (cy < lo || cy >= hi) continue;
+        if (!crossings.has(r)) crossings.set(r, []);
+        crossings.get(r).push(x1 + (cy - y1) * (x2 - x1) / (y2 - y1));
+      }
+    }
+  }
+  for (const [r, xs] of crossings) {
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[i] - minX) / cell - 0.5));
+      const c1 = Math.min(cols - 1, Math.floor((xs[i + 1] - minX) / cell - 0.5));
+      for (let c = c0; c <= c1; c++) visit(r, c);
+    }
+  }
+}
+
+export function gridFor(bbox, cell) {
+  const [minX, minY, maxX, maxY] = bbox;
+  return {
+    minX, minY, cell,
+    cols: Math.max(1, Math.ceil((maxX - minX) / cell)),
+    rows: Math.max(1, Math.ceil((maxY - minY) / cell))
+  };
+}
+
+// Area of one polygon (outer ring minus holes) on a spherical Earth, km²
+const EARTH_RADIUS_KM = 6371.0088;
+function ringAreaKm2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i], [x2, y2] = ring[i + 1];
+    sum += (x2 - x1) * Math.PI / 180 * (2 + Math.sin(y1 * Math.PI / 180) + Math.sin(y2 * Math.PI / 180));
+  }
+  return Math.abs(sum) * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2;
+}
+
+export function polygonAreaKm2(rings) {
+  const [outer, ...holes] = rings;
+  return Math.max(0, ringAreaKm2(outer) - holes.reduce((a, h) => a + ringAreaKm2(h), 0));
+}
@@ -0,0 +1,21 @@
+// Stable sighting IDs. A record keeps its ID across rebuilds as long as the
+// source record does, whatever row of the sheet it lands on.
+import { createHash } from 'node:crypto';
+
+// Dedup key: sci + rounded coords + UTC day (or 'nodate')
+export function sightingKey(rec) {
+  const day = rec.ts ? Math.floor(new Date(rec.ts).getTime() / 86400000) : 'nodate';
+  return `${rec.sci}|${rec.lat}|${rec.lon}|${day}`;
+}
+
+// occ_<12 hex>: hash of the record's native ID when it has one (namespaced, e.g.
+// inat:123 or gbif:456, see lib/sources/rows.js), else of the dedup key and source
+export function sightingId(rec, nativeId = '') {
+  const parts = nativeId ? [nativeId] : [sightingKey(rec), rec.source];
+  return 'occ_' + createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 12);
+}
+
+// IDs from before stable IDs were introduced (occ_<row number>)
+export function isLegacyId(id) {
+  return !/^occ_[0-9a-f]{12}$/.test(String(id || ''));
+}
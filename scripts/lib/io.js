@@ -0,0 +1,43 @@
+// Repo paths and JSON/file helpers shared by the build scripts. Paths resolve
+// against the working directory; run scripts (or the venommaps CLI) from the
+// repo root.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const ROOT = process.cwd();
+export const DIST_DIR = path.join(ROOT, 'data', 'distributions');
+export const WEB_DATA = path.join(ROOT, 'web', 'data');
+
+export function sciFromFilename(fname) {
+  return fname.replace(/\.(geojson|json)$/i, '');
+}
+
+export async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (fallback !== undefined && e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// pretty: 2-space indented (files people diff), else compact (bundles the browser loads)
+export async function writeJSON(file, value, { pretty = true } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value), 'utf8');
+  return (await fs.stat(file)).size;
+}
+
+export async function exists(file) {
+  try { await fs.access(file); return true; } catch { return false; }
+}
+
+// Sorted species names with a data/distributions/<sci>.geojson file
+export async function listDistributionSpecies() {
+  const files = await fs.readdir(DIST_DIR);
+  return files.filter(f => f.toLowerCase().endsWith('.geojson')).sort().map(sciFromFilename);
+}
+
+export function rel(file) {
+  return path.relative(ROOT, file);
+}
@@ -0,0 +1,70 @@
+// Common names from the ReptileDB column of SupplementalTable1.xlsx, e.g.
+//   "Timber rattlesnake, cane-brake rattlesnake (atricaudatus); German: Wald-Klapperschlange"
+// Segments are separated by ";" and may start with a language label; names
+// tagged for one subspecies ("[edwardsi]", "nuntius: ...") are only used when
+// a language has nothing else.
+
+// Labels used in the table -> locale code; other labels are skipped
+export const LANGUAGE_LABELS = {
+  English: 'en', German: 'de', Spanish: 'es', Portuguese: 'pt', Portugese: 'pt', French: 'fr',
+  Italian: 'it', Dutch: 'nl', Russian: 'ru', Chinese: 'zh', Thai: 'th', Croatian: 'hr'
+};
+
+// The sheet was saved as UTF-8 and read back as Mac Roman somewhere upstream
+// ("W√ºsten" for "Wüsten"); re-encode and decode when that yields valid UTF-8
+let macRomanBytes = null;
+export function repairMojibake(s) {
+  s = String(s || '');
+  if (!/[^\x00-\x7f]/.test(s)) return s;
+  if (!macRomanBytes) {
+    const dec = new TextDecoder('macintosh');
+    macRomanBytes = new Map();
+    for (let b = 0x80; b < 0x100; b++) macRomanBytes.set(dec.decode(Uint8Array.of(b)), b);
+  }
+  const bytes = [];
+  for (const ch of s) {
+    const c = ch.charCodeAt(0);
+    if (c < 0x80) bytes.push(c);
+    else if (macRomanBytes.has(ch)) bytes.push(macRomanBytes.get(ch));
+    else return s;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(bytes));
+  } catch {
+    return s;
+  }
+}
+
+function cleanName(s) {
+  s = s.replace(/\[[^\]]*\]/g, '').replace(/\([^)]*\)?/g, '').replace(/[()]/g, '');
+  s = s.replace(/\s{2,}/g, ' ').replace(/,+$/, '').trim();
+  // Title-case simple all-uppercase leftovers
+  if (/^[A-Z\s-]+$/.test(s)) s = s.toLowerCase().replace(/(^|\s)\S/g, t => t.toUpperCase());
+  return s;
+}
+
+// raw cell -> { en, de, es, ... } (one name per language, first listed wins)
+export function parseCommonNames(raw) {
+  const found = new Map(); // locale -> [{ name, tagged }]
+  for (const segment of repairMojibake(raw).split(';')) {
+    let lang = 'en';
+    // Parentheses can span commas ("Red Diamond Rattlesnake (exsul: ..., ruber: ...)")
+    for (let part of segment.replace(/\([^)]*\)/g, m => m.replace(/,/g, ' ')).split(',')) {
+      let tagged = /\[[^\]]+\]|\([a-z-]+\)/.test(part);
+      part = part.replace(/\([^)]*\)/g, '').trim();
+      const label = part.match(/^([^:]{1,40}):\s*/);
+      if (label) {
+        part = part.slice(label[0].length);
+        if (/^[a-z-]+$/.test(label[1])) tagged = true;   // subspecies epithet
+        else lang = LANGUAGE_LABELS[label[1].trim()] || null;
+      }
+      const name = cleanName(part);
+      if (!lang || !name) continue;
+      if (!found.has(lang)) found.set(lang, []);
+      found.get(lang).push({ name, tagged });
+    }
+  }
+  const out = {};
+  for (const [lang, list] of found) out[lang] = (list.find(n => !n.tagged) || list[0]).name;
+  return out;
+}
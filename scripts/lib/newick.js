@@ -0,0 +1,56 @@
+// Newick trees (code/Viperidae.newick): parse to { name, length, children }
+// nodes and prune to a set of tips.
+
+// "(A:1,(B:0.5,C:0.5)x:0.5);" -> root node; tips have no children
+export function parseNewick(text) {
+  const s = String(text).trim().replace(/;\s*$/, '');
+  let i = 0;
+
+  function label() {
+    const start = i;
+    while (i < s.length && !',():;'.includes(s[i])) i++;
+    return s.slice(start, i).trim().replace(/^'|'$/g, '');
+  }
+
+  function node() {
+    const n = { name: '', length: 0 };
+    if (s[i] === '(') {
+      n.children = [];
+      i++;
+      for (;;) {
+        n.children.push(node());
+        if (s[i] === ',') { i++; continue; }
+        if (s[i] === ')') { i++; break; }
+        throw new Error(`Newick: expected "," or ")" at ${i}`);
+      }
+    }
+    n.name = label();
+    if (s[i] === ':') {
+      i++;
+      const len = Number(label());
+      if (!Number.isFinite(len)) throw new Error(`Newick: bad branch length before ${i}`);
+      n.length = len;
+    }
+    return n;
+  }
+
+  const root = node();
+  if (i !== s.length) throw new Error(`Newick: unexpected "${s[i]}" at ${i}`);
+  return root;
+}
+
+export function tipsOf(n, out = []) {
+  if (!n.children) out.push(n.name);
+  else for (const c of n.children) tipsOf(c, out);
+  return out;
+}
+
+// Drops tips not in keep; internal nodes left with one child are merged into
+// it (branch lengths add up) so the pruned tree stays fully resolved
+export function pruneTree(n, keep) {
+  if (!n.children) return keep.has(n.name) ? { ...n } : null;
+  const children = n.children.map(c => pruneTree(c, keep)).filter(Boolean);
+  if (!children.length) return null;
+  if (children.length === 1) return { ...children[0], length: children[0].length + n.length };
+  return { ...n, children };
+}
@@ -0,0 +1,202 @@
+// Reading the occurrence sheets and downloads: column detection and per-row
+// field parsing shared by build_sightings_from_occurrence.js and
+// scan_occurrence_metrics.js. The sheets come from several databases, so each field has a list of header
+// names to try in order.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import xlsx from 'xlsx';
+import { ROOT } from './io.js';
+import { parseDelimited } from './sources/delimited.js';
+
+export const OCC_DIR = path.join(ROOT, 'data', 'occurrence');
+export const OCC_XLSX = path.join(OCC_DIR, 'combined_records_v4_clean.xlsx');
+
+export const COLUMNS = {
+  sci: ['final_species', 'taxonomy_updated_species', 'scientific_name', 'scientificName', 'ScientificName', 'species', 'Species'],
+  lat: ['decimalLatitude', 'latitude', 'lat'],
+  lon: ['decimalLongitude', 'longitude', 'lon'],
+  date: ['eventDate', 'EventDate', 'date', 'Date', 'observed_on', 'time_observed_at', 'ObservationDate', 'observation_date',
+    'dateObserved', 'date_observed', 'date_collected', 'collectionDate', 'verbatimEventDate', 'verbatim_date'],
+  year: ['year', 'Year'],
+  month: ['month', 'Month'],
+  day: ['day', 'Day'],
+  country: ['country', 'countryCode', 'Country'],
+  source: ['source', 'Source', 'datasetName', 'Dataset', 'provider'],
+  basis: ['basisOfRecord'],
+  media: ['hasMedia', 'mediaType', 'associatedMedia', 'voucher', 'photo'],
+  recordId: ['occurrenceID', 'gbifID', 'catalogNumber', 'record_id', 'id'],
+  uncertainty: ['coordinateUncertaintyInMeters', 'coordUncertaintyM', 'uncertainty', 'accuracy_m'],
+  establishment: ['establishmentMeans'],
+  issues: ['issues', 'issue'],
+  remarks: ['occurrenceRemarks', 'remarks', 'Remarks'],
+  locality: ['locality', 'Locality'],
+  habitat: ['habitat', 'Habitat']
+};
+
+// Free-text columns that sometimes carry a collection year
+const YEAR_TEXT_COLUMNS = ['voucher', 'flag_detailed', 'issue', 'issues', 'locality', 'Remarks', 'remarks'];
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+export function firstKey(o, names) {
+  for (const k of names) if (k in o) return k;
+  return null;
+}
+
+// field -> header name in this sheet (null when absent)
+export function detectColumns(sample) {
+  const cols = {};
+  for (const [field, names] of Object.entries(COLUMNS)) cols[field] = firstKey(sample, names);
+  cols.yearText = YEAR_TEXT_COLUMNS.filter(k => k in sample);
+  return cols;
+}
+
+export function readOccurrenceRows(file = OCC_XLSX) {
+  const wb = xlsx.readFile(file, { cellDates: true });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  return xlsx.utils.sheet_to_json(sheet, { defval: '' });
+}
+
+// Spreadsheets in data/occurrence ranked by how many date-like columns they
+// carry (5 per known date column, 1 per other date-looking header, 2 per
+// year/month/day), then by column count; on a tie the raw sheet beats its
+// "_clean" export
+export async function listOccurrenceSheets(dir = OCC_DIR) {
+  let files = [];
+  try { files = (await fs.readdir(dir)).filter(f => /\.xlsx$/i.test(f)); } catch {}
+  const scored = files.map(f => {
+    const wb = xlsx.readFile(path.join(dir, f), { sheetRows: 2 });
+    const header = (xlsx.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1 })[0] || []).map(String);
+    const score = header.filter(h => COLUMNS.date.includes(h)).length * 5
+      + header.filter(h => /(event|observ(ed|ation)?|collect(ed|ion)?|time).*date|^date$/i.test(h)).length
+      + header.filter(h => ['year', 'month', 'day'].includes(h.toLowerCase())).length * 2;
+    return { file: path.join(dir, f), score, columns: header.length, clean: /_clean\.xlsx$/i.test(f) };
+  });
+  return scored.sort((a, b) => b.score - a.score || b.columns - a.columns || a.clean - b.clean).map(s => s.file);
+}
+
+// Occurrence downloads as tables: CSV, TSV, GBIF .txt or NDJSON, optionally gzipped
+export const TABLE_RE = /\.(csv|tsv|txt|ndjson)(\.gz)?$/i;
+const MISSING_CELLS = new Set(['NA', 'NaN']);
+
+// Tables anywhere under data/occurrence, sorted by path
+export async function listOccurrenceTables(dir = OCC_DIR) {
+  let files = [];
+  try { files = await fs.readdir(dir, { recursive: true }); } catch {}
+  return files.filter(f => TABLE_RE.test(f)).sort().map(f => path.join(dir, f));
+}
+
+// Nested NDJSON objects flattened to dotted keys ({ a: { b: 1 } } -> { 'a.b': 1 })
+function flatten(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj)) {
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, `${prefix}${k}.`, out);
+    else out[`${prefix}${k}`] = v;
+  }
+  return out;
+}
+
+// Rows of a table as objects keyed by header. Unparseable NDJSON lines are
+// skipped; "NA", "NaN" and null cells read as empty.
+export async function readOccurrenceTable(file) {
+  let buf = await fs.readFile(file);
+  if (/\.gz$/i.test(file)) buf = zlib.gunzipSync(buf);
+  const textData = buf.toString('utf8');
+  let rows;
+  if (/\.ndjson(\.gz)?$/i.test(file)) {
+    rows = [];
+    for (const line of textData.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try { rows.push(flatten(JSON.parse(line))); } catch {}
+    }
+  } else {
+    rows = parseDelimited(textData, /\.tsv(\.gz)?$/i.test(file) ? { delim: '\t' } : {});
+  }
+  for (const r of rows) {
+    for (const k in r) if (r[k] == null || MISSING_CELLS.has(r[k])) r[k] = '';
+  }
+  return rows;
+}
+
+export function text(row, key) {
+  return key ? String(row[key] ?? '').trim() : '';
+}
+
+// Genus_species, or '' when the row has no name
+export function sciOf(row, cols) {
+  return text(row, cols.sci).replace(/\s+/g, '_');
+}
+
+// "Crotalus atrox Baird & Girard, 1853" / "crotalus atrox atrox" -> Crotalus_atrox
+export function binomial(name) {
+  const [genus, epithet] = String(name || '').trim().split(/[\s_]+/);
+  if (!genus || !epithet || !/^[a-z-]+$/i.test(epithet)) return '';
+  return `${genus[0].toUpperCase()}${genus.slice(1).toLowerCase()}_${epithet.toLowerCase()}`;
+}
+
+// Usable coordinates: finite, within ±90/±180 and not (0, 0), the "Null
+// Island" placeholder databases export for records without a position
+export function validCoords(lat, lon) {
+  if (typeof lat !== 'number' || typeof lon !== 'number') return false;
+  if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+  return lat !== 0 || lon !== 0;
+}
+
+export function coordsOf(row, cols) {
+  if (text(row, cols.lat) === '' || text(row, cols.lon) === '') return null;
+  const lat = Number(row[cols.lat]), lon = Number(row[cols.lon]);
+  return validCoords(lat, lon) ? { lat, lon } : null;
+}
+
+export function uncertaintyOf(row, cols) {
+  const v = text(row, cols.uncertainty);
+  return v === '' ? null : isFinite(Number(v)) ? Number(v) : null;
+}
+
+// "2021-05-03", "2021-05-03T14:00", "2021-05-03 14:00:00.5" without a zone
+const ISO_LOCAL = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/;
+// A time with an offset or Z, or a trailing UTC/GMT name
+const HAS_ZONE = /(\d:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})|\b(?:UTC|GMT)(?:[+-]\d{2}:?\d{2})?)$/i;
+
+// Date cell -> ISO string: Date objects, ISO/other parseable text, a bare year,
+// the start of a "from/to" range, or an Excel serial day number. Text without
+// a zone ("2021-05-03 14:00", "May 3 2021") is read as UTC; Date's own parser
+// would use the machine's time zone.
+export function toISODate(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return isNaN(v) ? null : v.toISOString();
+  const s = String(v).trim();
+  if (/^(1[7-9]|20)\d{2}$/.test(s)) return new Date(Date.UTC(Number(s), 0, 1)).toISOString(); // bare year
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n >= 50 && n <= 60000 ? new Date(EXCEL_EPOCH_MS + n * 86400000).toISOString() : null;
+  }
+  const d = ISO_LOCAL.test(s) ? new Date(s.length > 10 ? `${s.replace(' ', 'T')}Z` : s)
+    : HAS_ZONE.test(s) ? new Date(s) : new Date(`${s} UTC`);
+  if (!isNaN(d)) return d.toISOString();
+  if (s.includes('/')) return toISODate(s.split('/')[0]);
+  return null;
+}
+
+// { iso, full } from the date column (see toISODate), else from year/month/day
+// columns; both are read as UTC, so the result does not depend on the
+// machine's time zone. full is false when only the year (or year and month) is
+// known
+export function dateOf(row, cols) {
+  const raw = cols.date ? row[cols.date] : null;
+  const iso = toISODate(raw);
+  if (iso) return { iso, full: !/^\d{4}$/.test(String(raw).trim()) };
+  const y = text(row, cols.year), m = text(row, cols.month), d = text(row, cols.day);
+  if (!y || !isFinite(Number(y))) return { iso: null, full: false };
+  const ms = Date.UTC(Number(y), Number(m || 1) - 1, Number(d || 1));
+  if (!isFinite(ms)) return { iso: null, full: false };
+  return { iso: new Date(ms).toISOString(), full: !!(m && d) };
+}
+
+// Collection year mentioned in free-text columns (vouchers, flags), or null
+export function yearFromText(row, cols) {
+  for (const k of cols.yearText) {
+    const m = String(row[k] ?? '').match(/(?:^|\D)((?:19|20)\d{2})(?:\D|$)/);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
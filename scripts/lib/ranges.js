@@ -0,0 +1,159 @@
+// Point-to-range tests against data/distributions/<sci>.geojson: containment
+// and distance (km) to the nearest range edge, for checking sightings
+// against the mapped ranges.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { polygonsOf, bboxOfPolygons } from './geo.js';
+import { ROOT, DIST_DIR } from './io.js';
+
+const BUCKET = 1;          // degrees per edge bucket
+const MAX_RINGS = 40;      // give up searching ~4000 km out
+const KM_PER_DEG_LAT = 110.574;
+const KM_PER_DEG_LON = 111.320;
+
+function key(col, row) { return row * 400 + col; }
+function colOf(lon) { return Math.floor((lon + 180) / BUCKET); }
+function rowOf(lat) { return Math.floor((lat + 90) / BUCKET); }
+
+// Distance (km) from p to segment a-b in a local equirectangular projection at p
+function segDistKm(lon, lat, a, b) {
+  const kx = KM_PER_DEG_LON * Math.cos(lat * Math.PI / 180), ky = KM_PER_DEG_LAT;
+  const ax = (a[0] - lon) * kx, ay = (a[1] - lat) * ky;
+  const bx = (b[0] - lon) * kx, by = (b[1] - lat) * ky;
+  const dx = bx - ax, dy = by - ay;
+  let t = 0;
+  if (dx !== 0 || dy !== 0) t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy)));
+  const x = ax + dx * t, y = ay + dy * t;
+  return Math.sqrt(x * x + y * y);
+}
+
+// Edge-bucketed index over a range's polygons
+export function createRangeIndex(geo) {
+  const polygons = polygonsOf(geo);
+  const bbox = bboxOfPolygons(polygons);
+  const edges = [];          // [a, b, polygonIndex]
+  const buckets = new Map(); // bucket -> edge indices
+  polygons.forEach((rings, p) => {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const a = ring[i], b = ring[i + 1];
+        const e = edges.push([a, b, p]) - 1;
+        for (let r = rowOf(Math.min(a[1], b[1])); r <= rowOf(Math.max(a[1], b[1])); r++) {
+          for (let c = colOf(Math.min(a[0], b[0])); c <= colOf(Math.max(a[0], b[0])); c++) {
+            const k = key(c, r);
+            if (!buckets.has(k)) buckets.set(k, []);
+            buckets.get(k).push(e);
+          }
+        }
+      }
+    }
+  });
+
+  // Even-odd per polygon along a ray to the east; inside if any polygon says so
+  function contains(lon, lat) {
+    if (!bbox || lon < bbox[0] || lon > bbox[2] || lat < bbox[1] || lat > bbox[3]) return false;
+    const row = rowOf(lat);
+    const seen = new Set();
+    const crossings = new Map(); // polygon -> count
+    for (let c = colOf(lon); c <= colOf(bbox[2]); c++) {
+      for (const e of buckets.get(key(c, row)) || []) {
+        if (seen.has(e)) continue;
+        seen.add(e);
+        const [[x1, y1], [x2, y2], p] = edges[e];
+        if ((y1 > lat) !== (y2 > lat) && lon < (x2 - x1) * (lat - y1) / (y2 - y1) + x1) {
+          crossings.set(p, (crossings.get(p) || 0) + 1);
+        }
+      }
+    }
+    for (const n of crossings.values()) if (n % 2) return true;
+    return false;
+  }
+
+  // 0 inside the range, else km to the nearest edge (Infinity only for a range
+  // without edges)
+  function distanceKm(lon, lat) {
+    if (!edges.length) return Infinity;
+    if (contains(lon, lat)) return 0;
+    const c0 = colOf(lon), r0 = rowOf(lat);
+    let best = Infinity;
+    for (let ring = 0; ring <= MAX_RINGS; ring++) {
+      for (let r = r0 - ring; r <= r0 + ring; r++) {
+        for (let c = c0 - ring; c <= c0 + ring; c++) {
+          if (Math.max(Math.abs(r - r0), Math.abs(c - c0)) !== ring) continue; // ring border only
+          for (const e of buckets.get(key(c, r)) || []) {
+            const d = segDistKm(lon, lat, edges[e][0], edges[e][1]);
+            if (d < best) best = d;
+          }
+        }
+      }
+      // Cells beyond this ring are at least `ring` buckets away
+      const minLat = Math.min(89, Math.abs(lat) + ring + 1);
+      const reach = ring * BUCKET * Math.min(KM_PER_DEG_LAT, KM_PER_DEG_LON * Math.cos(minLat * Math.PI / 180));
+      if (best <= reach) break;
+    }
+    // Nothing within the searched rings: check every edge
+    if (best === Infinity) {
+      for (const [a, b] of edges) best = Math.min(best, segDistKm(lon, lat, a, b));
+    }
+    return best;
+  }
+
+  return { contains, distanceKm };
+}
+
+// Range index for a species, or null when it has no distribution file
+export async function loadSpeciesRange(sci) {
+  try {
+    const raw = await fs.readFile(path.join(DIST_DIR, `${sci}.geojson`), 'utf8');
+    return createRangeIndex(JSON.parse(raw));
+  } catch {
+    return null;
+  }
+}
+
+// ---- Outliers -------------------------------------------------------------------
+
+export const OUT_OF_RANGE_KM = 50; // beyond this a sighting is flagged out_of_range
+const REPORT_JSON = path.join(ROOT, 'web', 'data', 'sightings_outliers.json');
+const REPORT_CSV = path.join(ROOT, 'web', 'data', 'sightings_outliers.csv');
+
+// Adds range_km (null when unknown) and out_of_range to a record in place.
+// Records must have valid coordinates (validCoords in lib/occurrence.js);
+// callers drop the rest before this check.
+export function flagRecord(rec, range) {
+  const km = range ? range.distanceKm(rec.lon, rec.lat) : Infinity;
+  rec.range_km = Number.isFinite(km) ? Number(km.toFixed(1)) : null;
+  rec.out_of_range = rec.range_km != null && km > OUT_OF_RANGE_KM;
+  return rec;
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Per-species summary (JSON) plus every flagged record (CSV) for reviewers
+export async function writeOutlierReport(perSpecies, { asOf = null } = {}) {
+  const summary = [];
+  const rows = [['sci', 'id', 'lat', 'lon', 'range_km', 'ts', 'source', 'country', 'state'].join(',')];
+  for (const [sci, arr] of Array.from(perSpecies).sort((a, b) => a[0].localeCompare(b[0]))) {
+    const flagged = arr.filter(s => s.out_of_range);
+    const outside = arr.filter(s => s.range_km > 0).length;
+    const kms = flagged.map(s => s.range_km).filter(v => v != null);
+    summary.push({
+      sci,
+      count: arr.length,
+      outside_range: outside,
+      out_of_range: flagged.length,
+      share_out_of_range: arr.length ? Number((flagged.length / arr.length).toFixed(4)) : 0,
+      max_km: kms.length ? Math.max(...kms) : null
+    });
+    for (const s of flagged.sort((a, b) => (b.range_km ?? Infinity) - (a.range_km ?? Infinity))) {
+      rows.push([sci, s.id, s.lat, s.lon, s.range_km, s.ts, s.source, s.country, s.state].map(csvCell).join(','));
+    }
+  }
+  const report = { threshold_km: OUT_OF_RANGE_KM, as_of: asOf, species: summary };
+  await fs.writeFile(REPORT_JSON, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(REPORT_CSV, rows.join('\n') + '\n', 'utf8');
+  return summary;
+}
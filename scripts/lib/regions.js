@@ -0,0 +1,204 @@
+// Region scoping shared by the build scripts. Regions are defined in
+// config/regions.json by boundary (countries, states/provinces or boxes) plus a
+// taxon filter; scripts take --region=<id> and fall back to the config's default.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { polygonsOf, bboxOfPolygons, pointInPolygon, scanPolygon, gridFor } from './geo.js';
+import { readAdminFeatures, COUNTRY_ALIASES } from './admin.js';
+import { ROOT } from './io.js';
+
+export const REGIONS_JSON = path.join(ROOT, 'config', 'regions.json');
+
+const CELL = 0.1;          // lookup grid resolution (degrees)
+const OUTSIDE = 0, INSIDE = 1, BORDER = 2;
+
+// ---- Boundaries ----------------------------------------------------------------
+
+// Boundary entries: { countries: [name|ISO2|ISO3] } | { states: [name|ISO 3166-2] } | { bbox: [w,s,e,n] }.
+// Countries and states come from the bundled admin-1 polygons; returns the
+// polygons plus the admin-1 codes they cover.
+function boundaryPolygons(entries, admin1) {
+  const polygons = [];
+  const units = new Set();
+  for (const entry of entries) {
+    if (entry.bbox) {
+      const [w, s, e, n] = entry.bbox;
+      polygons.push([[[w, s], [e, s], [e, n], [w, n], [w, s]]]);
+      continue;
+    }
+    const kind = entry.countries ? 'countries' : entry.states ? 'states' : null;
+    if (!kind) throw new Error(`Unknown boundary entry: ${JSON.stringify(entry)}`);
+    for (const want of entry[kind]) {
+      const matches = admin1.filter(f => kind === 'countries'
+        ? [f.country, f.country3, f.country_name].includes(want)
+        : [f.state, f.state_name].includes(want));
+      if (!matches.length) throw new Error(`No ${kind} boundary named "${want}"`);
+      for (const f of matches) {
+        units.add(f.state);
+        polygons.push(...f.polygons);
+      }
+    }
+  }
+  return { polygons, units };
+}
+
+// Grid over the region: each cell is inside, outside or on the border (exact test)
+function buildIndex(polygons, bbox) {
+  const grid = gridFor(bbox, CELL);
+  const state = new Uint8Array(grid.cols * grid.rows);
+  for (const rings of polygons) {
+    const mark = new Set(); // even-odd is per polygon; union across polygons
+    scanPolygon(rings, grid, (r, c) => mark.add(r * grid.cols + c));
+    for (const k of mark) state[k] = INSIDE;
+  }
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i], [x2, y2] = ring[i + 1];
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1)) / (CELL / 2)));
+        for (let s = 0; s <= steps; s++) {
+          const x = x1 + (x2 - x1) * s / steps, y = y1 + (y2 - y1) * s / steps;
+          const c = Math.min(grid.cols - 1, Math.floor((x - grid.minX) / CELL));
+          const r = Math.min(grid.rows - 1, Math.floor((y - grid.minY) / CELL));
+          state[r * grid.cols + c] = BORDER;
+        }
+      }
+    }
+  }
+  return { grid, state };
+}
+
+// bbox of an admin-1 unit as [w, s, e, n] with w < e. Units that cross the
+// antimeridian (Alaska's Aleutians) have their eastern-hemisphere parts
+// shifted west, with the west edge clamped at -180.
+function unitBbox(f) {
+  const [w, s, e, n] = f.bbox;
+  if (e - w <= 180) return f.bbox;
+  let minX = Infinity, maxX = -Infinity;
+  for (const rings of f.polygons) {
+    for (const [x] of rings[0]) {
+      const west = x > 0 ? x - 360 : x;
+      if (west < minX) minX = west;
+      if (west > maxX) maxX = west;
+    }
+  }
+  return [Math.max(-180, minX), s, maxX, n];
+}
+
+// ---- Taxa -----------------------------------------------------------------------
+
+// taxa: { genera?: [..], include?: [sci], exclude?: [sci] }; no genera = all
+function taxonFilter(taxa) {
+  const genera = taxa.genera ? new Set(taxa.genera) : null;
+  const include = new Set(taxa.include || []);
+  const exclude = new Set(taxa.exclude || []);
+  return sci => {
+    if (exclude.has(sci)) return false;
+    if (include.has(sci)) return true;
+    return !genera || genera.has(sci.split('_')[0]);
+  };
+}
+
+// ---- Public ---------------------------------------------------------------------
+
+export function regionIdFromArgs(argv = process.argv.slice(2)) {
+  const arg = argv.find(a => a.startsWith('--region='));
+  return arg ? arg.slice(9) : null;
+}
+
+// Resolve a region from config/regions.json (default region when id is null)
+export async function loadRegion(id = regionIdFromArgs()) {
+  const config = JSON.parse(await fs.readFile(REGIONS_JSON, 'utf8'));
+  const regionId = id || config.default;
+  const def = config.regions[regionId];
+  if (!def) throw new Error(`Unknown region "${regionId}" (have: ${Object.keys(config.regions).join(', ')})`);
+
+  const taxa = typeof def.taxa === 'string' ? config.taxa[def.taxa] : (def.taxa || {});
+  if (!taxa) throw new Error(`Region "${regionId}" uses unknown taxon set "${def.taxa}"`);
+  const admin1 = await readAdminFeatures();
+  const { polygons, units } = boundaryPolygons(def.boundary || [], admin1);
+  if (!polygons.length) throw new Error(`Region "${regionId}" has no boundary`);
+  const bbox = bboxOfPolygons(polygons);
+  const { grid, state } = buildIndex(polygons, bbox);
+  const polyBoxes = polygons.map(p => bboxOfPolygons([p]));
+  const allowTaxon = taxonFilter(taxa);
+  // ISO2/ISO3/names (upper case) of countries with admin-1 units in the region
+  const countryNames = new Set();
+  // Admin-1 units in the region for pickers (e.g. offline packs), by name
+  const areas = [];
+  for (const f of admin1) {
+    if (!units.has(f.state)) continue;
+    areas.push({ code: f.state, name: f.state_name || f.state, bbox: unitBbox(f).map(v => Number(v.toFixed(3))) });
+    for (const n of [f.country, f.country3, f.country_name, ...(COUNTRY_ALIASES[f.country] || [])]) {
+      if (n) countryNames.add(n.toUpperCase());
+    }
+  }
+
+  function exact(lon, lat) {
+    return polygons.some((rings, i) => {
+      const b = polyBoxes[i];
+      return lon >= b[0] && lon <= b[2] && lat >= b[1] && lat <= b[3] && pointInPolygon(lon, lat, rings);
+    });
+  }
+
+  function contains(lon, lat) {
+    if (lon < bbox[0] || lon > bbox[2] || lat < bbox[1] || lat > bbox[3]) return false;
+    const c = Math.min(grid.cols - 1, Math.floor((lon - grid.minX) / CELL));
+    const r = Math.min(grid.rows - 1, Math.floor((lat - grid.minY) / CELL));
+    const s = state[r * grid.cols + c];
+    return s === BORDER ? exact(lon, lat) : s === INSIDE;
+  }
+
+  // Admin-1 assignment (lib/admin.js) inside the region; offshore records
+  // snapped to the coast count too
+  function containsPlace(place) {
+    return !!place && units.has(place.state);
+  }
+
+  // Does a free-text country value (ISO2/ISO3/name) name a country in the region?
+  // For records without usable coordinates.
+  function claimsCountry(value) {
+    return countryNames.has(String(value || '').trim().toUpperCase());
+  }
+
+  // Share (0..1) of a range's area inside the region, sampled on the lookup grid;
+  // ranges smaller than a cell fall back to their vertices.
+  function rangeShare(geo) {
+    const polys = polygonsOf(geo);
+    const rb = bboxOfPolygons(polys);
+    if (!rb) return 0;
+    if (rb[0] > bbox[2] || rb[2] < bbox[0] || rb[1] > bbox[3] || rb[3] < bbox[1]) return 0;
+    // Align the species grid with the region grid so cell centres coincide
+    const x0 = grid.minX + Math.floor((rb[0] - grid.minX) / CELL) * CELL;
+    const y0 = grid.minY + Math.floor((rb[1] - grid.minY) / CELL) * CELL;
+    const sg = gridFor([x0, y0, rb[2], rb[3]], CELL);
+    let total = 0, inside = 0;
+    for (const rings of polys) {
+      const seen = new Set();
+      scanPolygon(rings, sg, (r, c) => {
+        const k = r * sg.cols + c;
+        if (seen.has(k)) return;
+        seen.add(k);
+        total++;
+        if (contains(sg.minX + (c + 0.5) * CELL, sg.minY + (r + 0.5) * CELL)) inside++;
+      });
+    }
+    if (total) return inside / total;
+    const verts = polys.flatMap(rings => rings[0]);
+    return verts.filter(([x, y]) => contains(x, y)).length / verts.length;
+  }
+
+  return {
+    id: regionId,
+    name: def.name || regionId,
+    bbox,
+    view: def.view || null,
+    minRangeShare: def.minRangeShare ?? 0,
+    areas: areas.sort((a, b) => a.name.localeCompare(b.name)),
+    allowTaxon,
+    contains,
+    containsPlace,
+    claimsCountry,
+    rangeShare
+  };
+}
@@ -0,0 +1,50 @@
+// Shape of the records in web/data/sightings/<sci>.json, as written by
+// build_sightings_from_occurrence.js and read by web/sightings.js.
+
+export const SOURCE_KINDS = ['human_observation', 'preserved_specimen', 'other'];
+
+// field -> { type, nullable?, min?, max?, pattern?, enum? }; every field is required
+export const SIGHTING_SCHEMA = {
+  id: { type: 'string', pattern: /^occ_[0-9a-f]{12}$/ },
+  sci: { type: 'string', pattern: /^[A-Z][a-z]+_[a-z-]+$/ },
+  ts: { type: 'string', nullable: true, pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/ },
+  lat: { type: 'number', min: -90, max: 90 },
+  lon: { type: 'number', min: -180, max: 180 },
+  country: { type: 'string', nullable: true, pattern: /^[A-Z]{2}$/ },
+  state: { type: 'string', nullable: true },
+  state_name: { type: 'string', nullable: true },
+  source: { type: 'string' },
+  origin: { type: 'string', pattern: /^[a-z0-9-]+$/ },
+  photo: { type: 'boolean' },
+  verified: { type: 'boolean' },
+  source_kind: { type: 'string', enum: SOURCE_KINDS },
+  highlight: { type: 'boolean' },
+  range_km: { type: 'number', nullable: true, min: 0 },
+  out_of_range: { type: 'boolean' }
+};
+
+// Problems with one record, as "field: message" strings (empty when valid)
+export function checkRecord(rec, schema = SIGHTING_SCHEMA) {
+  if (!rec || typeof rec !== 'object' || Array.isArray(rec)) return ['record: not an object'];
+  const problems = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!(field in rec)) { problems.push(`${field}: missing`); continue; }
+    const v = rec[field];
+    if (v === null) {
+      if (!rule.nullable) problems.push(`${field}: null`);
+      continue;
+    }
+    if (typeof v !== rule.type || (rule.type === 'number' && !Number.isFinite(v))) {
+      problems.push(`${field}: expected ${rule.type}, got ${JSON.stringify(v)}`);
+      continue;
+    }
+    if (rule.min != null && v < rule.min) problems.push(`${field}: ${v} < ${rule.min}`);
+    if (rule.max != null && v > rule.max) problems.push(`${field}: ${v} > ${rule.max}`);
+    if (rule.pattern && !rule.pattern.test(v)) problems.push(`${field}: malformed ${JSON.stringify(v)}`);
+    if (rule.enum && !rule.enum.includes(v)) problems.push(`${field}: unknown value ${JSON.stringify(v)}`);
+  }
+  for (const field of Object.keys(rec)) {
+    if (!(field in schema)) problems.push(`${field}: not in schema`);
+  }
+  return problems;
+}
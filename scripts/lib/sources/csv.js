@@ -0,0 +1,17 @@
+// Plain CSV/TSV files (GBIF "simple" downloads, lab spreadsheets saved as
+// CSV); columns detected by name like the spreadsheet adapter.
+import fs from 'node:fs/promises';
+import { detectColumns } from '../occurrence.js';
+import { parseDelimited } from './delimited.js';
+import { fromRow } from './rows.js';
+
+export const description = 'CSV or TSV with a header line';
+
+export async function read(file, { origin, label }) {
+  const rows = parseDelimited(await fs.readFile(file, 'utf8'));
+  if (!rows.length) return [];
+  const cols = detectColumns(rows[0]);
+  // GBIF downloads put the author in scientificName; prefer the bare species column
+  if ('species' in rows[0] && 'scientificName' in rows[0]) cols.sci = 'species';
+  return rows.map(r => fromRow(r, cols, { origin, label, names: 'binomial' }));
+}
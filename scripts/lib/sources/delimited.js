@@ -0,0 +1,48 @@
+// Minimal CSV/TSV reader for the source adapters: quoted fields (with escaped
+// quotes and embedded newlines), CRLF line ends and a leading BOM.
+
+// Rows as arrays of strings. quote '' (or null) turns quoting off: every quote
+// character is then data, as in GBIF downloads (fieldsEnclosedBy="").
+export function parseRows(text, delim = ',', quote = '"') {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const s = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === quote) {
+        if (s[i + 1] === quote) { field += quote; i++; }
+        else quoted = false;
+      } else field += ch;
+      continue;
+    }
+    if (quote && ch === quote && field === '') quoted = true;
+    else if (ch === delim) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Delimiter of a header line: tab when it has any, else comma (or semicolon)
+export function sniffDelimiter(text) {
+  const line = text.slice(0, text.search(/\r?\n|$/));
+  if (line.includes('\t')) return '\t';
+  return (line.match(/;/g) || []).length > (line.match(/,/g) || []).length ? ';' : ',';
+}
+
+// Rows as objects keyed by the header line (or by `header` when given)
+export function parseDelimited(text, { delim = sniffDelimiter(text), quote = '"', header = null, skip = header ? 0 : 1 } = {}) {
+  const rows = parseRows(text, delim, quote);
+  const keys = header || rows[0] || [];
+  return rows.slice(skip).map(cells => {
+    const o = {};
+    keys.forEach((k, i) => { if (k != null) o[k] = cells[i] ?? ''; });
+    return o;
+  });
+}
@@ -0,0 +1,89 @@
+// Darwin Core Archives (GBIF occurrence downloads): a zip with meta.xml
+// describing an Occurrence core file and optional extensions. Photos come
+// from the Multimedia extension when the archive has one.
+import fs from 'node:fs/promises';
+import CFB from 'cfb';
+import { detectColumns } from '../occurrence.js';
+import { parseDelimited } from './delimited.js';
+import { fromRow } from './rows.js';
+
+export const description = 'Darwin Core Archive (.zip with meta.xml)';
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`${name}=(?:"([^"]*)"|'([^']*)')`));
+  return m ? (m[1] ?? m[2]).replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&') : null;
+}
+
+function unescapeDelim(v, fallback) {
+  if (v == null) return fallback;
+  return v.replace(/\\t/g, '\t').replace(/\\n/g, '\n').replace(/\\r/g, '\r') || fallback;
+}
+
+// { rowType, location, delim, quote, skip, idIndex, fields: [{ index, name }] }
+// for the core and each extension. fieldsEnclosedBy defaults to '"' in the Darwin
+// Core text guide; GBIF downloads set it empty, i.e. no quoting at all.
+function parseMeta(xml) {
+  const blocks = [];
+  for (const m of xml.matchAll(/<(core|extension)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+    const [, kind, attrs, body] = m;
+    const idTag = body.match(/<(id|coreid)\b[^>]*>/);
+    blocks.push({
+      kind,
+      rowType: attr(attrs, 'rowType') || '',
+      location: (body.match(/<location>\s*([^<]+?)\s*<\/location>/) || [])[1],
+      delim: unescapeDelim(attr(attrs, 'fieldsTerminatedBy'), ','),
+      quote: attr(attrs, 'fieldsEnclosedBy') ?? '"',
+      skip: Number(attr(attrs, 'ignoreHeaderLines') || 0),
+      idIndex: idTag ? Number(attr(idTag[0], 'index')) : null,
+      fields: Array.from(body.matchAll(/<field\b[^>]*>/g)).map(f => ({
+        index: attr(f[0], 'index') == null ? null : Number(attr(f[0], 'index')),
+        name: (attr(f[0], 'term') || '').split(/[/#]/).pop(),
+        default: attr(f[0], 'default')
+      }))
+    });
+  }
+  return blocks;
+}
+
+function readBlock(archive, block) {
+  const entry = CFB.find(archive, block.location);
+  if (!entry) throw new Error(`Archive has no ${block.location}`);
+  const header = [];
+  for (const f of block.fields) if (f.index != null) header[f.index] = f.name;
+  if (block.idIndex != null && header[block.idIndex] == null) header[block.idIndex] = '_id';
+  const rows = parseDelimited(Buffer.from(entry.content).toString('utf8'), { delim: block.delim, quote: block.quote, header, skip: block.skip });
+  const constants = block.fields.filter(f => f.index == null && f.default != null);
+  return rows.map(r => {
+    for (const f of constants) r[f.name] = f.default;
+    r._id = block.idIndex != null ? r[header[block.idIndex]] : '';
+    return r;
+  });
+}
+
+export async function read(file, { origin, label }) {
+  const archive = CFB.read(await fs.readFile(file), { type: 'buffer' });
+  const meta = CFB.find(archive, 'meta.xml');
+  if (!meta) throw new Error(`${file} is not a Darwin Core Archive (no meta.xml)`);
+  const blocks = parseMeta(Buffer.from(meta.content).toString('utf8'));
+  const core = blocks.find(b => b.kind === 'core');
+  if (!core || !/Occurrence$/.test(core.rowType)) throw new Error(`${file}: core is not an Occurrence file`);
+
+  const withImages = new Set();
+  const media = blocks.find(b => b.kind === 'extension' && /Multimedia$/.test(b.rowType));
+  if (media) {
+    for (const r of readBlock(archive, media)) {
+      if (/image/i.test(r.type || r.format || '') || r.identifier) withImages.add(r._id);
+    }
+  }
+
+  const rows = readBlock(archive, core);
+  if (!rows.length) return [];
+  const cols = detectColumns(rows[0]);
+  if ('species' in rows[0]) cols.sci = 'species'; // interpreted name without the author
+  return rows.map(r => {
+    const rec = fromRow(r, cols, { origin, label: label || 'GBIF', names: 'binomial' });
+    if (withImages.has(r._id)) rec.photo = true;
+    if (!rec.native_id && r._id) rec.native_id = `${origin}:${r._id}`;
+    return rec;
+  });
+}
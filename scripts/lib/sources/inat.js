@@ -0,0 +1,34 @@
+// iNaturalist observation exports (https://www.inaturalist.org/observations/export).
+import fs from 'node:fs/promises';
+import { binomial, toISODate, validCoords } from '../occurrence.js';
+import { parseDelimited } from './delimited.js';
+
+export const description = 'iNaturalist observations export (CSV)';
+
+// Obscured observations are placed at random within a ~0.2° cell
+const OBSCURED_M = 22000;
+
+export async function read(file, { label }) {
+  const rows = parseDelimited(await fs.readFile(file, 'utf8'));
+  return rows.map(r => {
+    const lat = r.latitude === '' ? NaN : Number(r.latitude);
+    const lon = r.longitude === '' ? NaN : Number(r.longitude);
+    const placed = validCoords(lat, lon);
+    const accuracy = r.positional_accuracy === '' || r.positional_accuracy == null ? null : Number(r.positional_accuracy);
+    const obscured = String(r.coordinates_obscured).toLowerCase() === 'true';
+    return {
+      sci: binomial(r.scientific_name),
+      ts: toISODate(r.time_observed_at) || toISODate(r.observed_on),
+      lat: placed ? lat : null,
+      lon: placed ? lon : null,
+      source: label || 'iNaturalist',
+      photo: !!String(r.image_url || '').trim(),
+      verified: r.quality_grade === 'research',
+      source_kind: 'human_observation',
+      native_id: r.id ? `inat:${r.id}` : '',
+      uncertainty_m: obscured ? Math.max(accuracy || 0, OBSCURED_M) : (isFinite(accuracy) ? accuracy : null),
+      captive: String(r.captive_cultivated).toLowerCase() === 'true',
+      country: ''
+    };
+  });
+}
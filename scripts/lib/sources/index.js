@@ -0,0 +1,50 @@
+// Occurrence source adapters, one module per format. Each exports
+// `read(file, { origin, label })` resolving to source records (see rows.js).
+// Sources are listed in config/sources.json; earlier sources win when the same
+// sighting arrives from several of them.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, readJSON } from '../io.js';
+import * as xlsx from './xlsx.js';
+import * as csv from './csv.js';
+import * as dwca from './dwca.js';
+import * as inat from './inat.js';
+
+export const ADAPTERS = { xlsx, csv, dwca, inat };
+export const SOURCES_JSON = path.join(ROOT, 'config', 'sources.json');
+
+// Configured sources, narrowed by --sources=id,id and extended by
+// --source=<adapter>:<path>[:<label>]; in priority order
+export async function resolveSources(argv = process.argv.slice(2)) {
+  const config = await readJSON(SOURCES_JSON, { sources: [] });
+  let sources = config.sources.map(s => ({ ...s }));
+  const only = argv.find(a => a.startsWith('--sources='));
+  if (only) {
+    const ids = only.slice(10).split(',').filter(Boolean);
+    for (const id of ids) {
+      if (!sources.some(s => s.id === id)) throw new Error(`Unknown source "${id}" (have: ${sources.map(s => s.id).join(', ')})`);
+    }
+    sources = ids.map(id => sources.find(s => s.id === id));
+  }
+  for (const a of argv.filter(a => a.startsWith('--source='))) {
+    const [adapter, file, label] = a.slice(9).split(':');
+    if (!file) throw new Error(`Bad ${a} (want --source=<adapter>:<path>)`);
+    const base = path.basename(file).replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    sources.push({ id: `${adapter}-${base}`, adapter, path: file, label: label || '' });
+  }
+  for (const s of sources) {
+    if (!ADAPTERS[s.adapter]) throw new Error(`Source "${s.id}" uses unknown adapter "${s.adapter}" (have: ${Object.keys(ADAPTERS).join(', ')})`);
+    s.file = path.resolve(ROOT, s.path);
+  }
+  return sources;
+}
+
+// Source records, or null when the source file is not there
+export async function readSource(source) {
+  try {
+    await fs.access(source.file);
+  } catch {
+    return null;
+  }
+  return ADAPTERS[source.adapter].read(source.file, { origin: source.id, label: source.label || '' });
+}
@@ -0,0 +1,43 @@
+// Occurrence table row -> source record, for adapters whose rows use the
+// combined sheet's or Darwin Core column names (see lib/occurrence.js).
+import { sciOf, binomial, coordsOf, dateOf, uncertaintyOf, text } from '../occurrence.js';
+
+const INAT_URL = /inaturalist\.org\/observations\/(\d+)/;
+
+// Record ID that means the same thing whichever source delivers the record:
+// iNaturalist observations and GBIF occurrences are recognised, anything else
+// is scoped to the source it came from. '' when the row has none.
+export function nativeIdOf(row, cols, origin) {
+  const inat = String(row.occurrenceID ?? row.url ?? '').match(INAT_URL);
+  if (inat) return `inat:${inat[1]}`;
+  if (text(row, 'gbifID' in row ? 'gbifID' : null)) return `gbif:${text(row, 'gbifID')}`;
+  const v = text(row, cols.recordId);
+  return v ? `${origin}:${v}` : '';
+}
+
+// { sci, ts, lat, lon, source, photo, verified, source_kind } plus the fields
+// the build filters on: native_id, uncertainty_m, captive, country (as stated)
+export function fromRow(row, cols, { origin, label = '', names = 'as-is' } = {}) {
+  const sci = names === 'binomial' ? binomial(text(row, cols.sci)) : sciOf(row, cols);
+  const coords = coordsOf(row, cols);
+  const source = (text(row, cols.source) || label).slice(0, 120);
+  const basis = text(row, cols.basis).toLowerCase();
+  const kindText = `${basis} ${source.toLowerCase()}`;
+  const media = text(row, cols.media).toLowerCase();
+  const est = text(row, cols.establishment).toLowerCase();
+  return {
+    sci,
+    ts: dateOf(row, cols).iso,
+    lat: coords ? coords.lat : null,
+    lon: coords ? coords.lon : null,
+    source,
+    photo: ['true', 'photo', 'image', 'photograph', 'voucher', 'stillimage'].some(x => media.includes(x)),
+    verified: /inat|gbif|herp|human/i.test(source),
+    source_kind: /preserved|specimen|museum|fossil/.test(kindText) ? 'preserved_specimen'
+      : /human|observation|inat|gbif|herp/.test(kindText) ? 'human_observation' : 'other',
+    native_id: nativeIdOf(row, cols, origin),
+    uncertainty_m: uncertaintyOf(row, cols),
+    captive: est.includes('captive') || est.includes('cultivated'),
+    country: text(row, cols.country)
+  };
+}
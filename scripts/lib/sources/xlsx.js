@@ -0,0 +1,13 @@
+// Spreadsheet exports (the combined VenomMaps sheet, or any .xlsx/.xls/.ods
+// with recognisable columns); first sheet only.
+import { readOccurrenceRows, detectColumns } from '../occurrence.js';
+import { fromRow } from './rows.js';
+
+export const description = 'Spreadsheet (first sheet), columns detected by name';
+
+export async function read(file, { origin, label }) {
+  const rows = readOccurrenceRows(file);
+  if (!rows.length) return [];
+  const cols = detectColumns(rows[0]);
+  return rows.map(r => fromRow(r, cols, { origin, label }));
+}
@@ -0,0 +1,99 @@
+// Former names and subspecies for the species list. Former names come from the
+// occurrence sheet (each record keeps the name its database recorded next to
+// the updated taxonomy) plus the hand-kept table in config/synonyms.json;
+// subspecies come from the Subspecies property of the distribution features.
+import path from 'node:path';
+import { ROOT, readJSON } from './io.js';
+import { OCC_XLSX, readOccurrenceRows, firstKey, text } from './occurrence.js';
+
+export const SYNONYMS_JSON = path.join(ROOT, 'config', 'synonyms.json');
+
+// A recorded name needs this many records before it counts as a former name,
+// so one-off typos in the source databases don't turn up in search
+const MIN_SYNONYM_RECORDS = 3;
+
+const RECORDED = ['database_recorded_species'];
+const RECORDED_SSP = ['database_recorded_subspecies'];
+const CURRENT = ['final_species', 'taxonomy_updated_species'];
+
+// "Crotalus viridis lutosus Klauber, 1930" / "crotalus_viridis_lutosus" ->
+// "Crotalus viridis lutosus"; authorship and qualifiers are dropped
+export function scientificName(raw) {
+  const words = String(raw || '').trim().split(/[\s_]+/);
+  const [genus, ...rest] = words;
+  if (!genus || !/^[a-z]+$/i.test(genus)) return '';
+  const epithets = [];
+  for (const w of rest) {
+    if (!/^[a-z-]+$/.test(w.toLowerCase()) || /^[A-Z]/.test(w) && epithets.length) break;
+    if (['cf', 'aff', 'sp', 'spp', 'ssp', 'subsp', 'var'].includes(w.toLowerCase().replace(/\.$/, ''))) break;
+    epithets.push(w.toLowerCase());
+    if (epithets.length === 2) break;
+  }
+  if (!epithets.length) return '';
+  return [genus[0].toUpperCase() + genus.slice(1).toLowerCase(), ...epithets].join(' ');
+}
+
+const toSci = name => name.replace(/ /g, '_');
+
+// current sci -> Map(former name -> records) from the occurrence sheet's
+// recorded vs updated names (empty when the sheet is missing)
+export function occurrenceSynonyms(file = OCC_XLSX) {
+  let rows;
+  try { rows = readOccurrenceRows(file); } catch { return new Map(); }
+  if (!rows.length) return new Map();
+  const kRecorded = firstKey(rows[0], RECORDED);
+  const kRecordedSsp = firstKey(rows[0], RECORDED_SSP);
+  const kCurrent = firstKey(rows[0], CURRENT);
+  if (!kRecorded || !kCurrent) return new Map();
+
+  const out = new Map();
+  for (const r of rows) {
+    const current = scientificName(text(r, kCurrent));
+    if (current.split(' ').length < 2) continue;
+    const sci = toSci(current.split(' ').slice(0, 2).join(' '));
+    const species = scientificName(text(r, kRecorded));
+    // Some databases only give the infraspecific epithet
+    const rawSsp = text(r, kRecordedSsp);
+    const ssp = /^[a-z-]+$/.test(rawSsp) ? (species.split(' ').length === 2 ? `${species} ${rawSsp}` : '') : scientificName(rawSsp);
+    for (const name of [species, ssp]) {
+      if (!name) continue;
+      // A trinomial under the current binomial is just one of its subspecies
+      if (toSci(name.split(' ').slice(0, 2).join(' ')) === sci) continue;
+      if (!out.has(sci)) out.set(sci, new Map());
+      const names = out.get(sci);
+      names.set(name, (names.get(name) || 0) + 1);
+    }
+  }
+  for (const names of out.values()) {
+    for (const [name, n] of names) if (n < MIN_SYNONYM_RECORDS) names.delete(name);
+  }
+  return out;
+}
+
+// current sci -> [former names] from config/synonyms.json
+export async function curatedSynonyms() {
+  const table = await readJSON(SYNONYMS_JSON, {});
+  return new Map(Object.entries(table.synonyms || {}).map(([sci, names]) => [sci, names.map(scientificName).filter(Boolean)]));
+}
+
+// Former names of sci, most used first; names that are themselves current
+// species (ranges split off an existing species) are left out
+export function formerNames(sci, { fromOccurrence, curated, current }) {
+  const counts = new Map(fromOccurrence.get(sci) || []);
+  for (const name of curated.get(sci) || []) counts.set(name, Infinity);
+  return Array.from(counts)
+    .filter(([name]) => !current.has(toSci(name)))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name]) => name);
+}
+
+// Trinomials (Genus_species_ssp) mapped for sci, sorted; [] when the range is
+// not split by subspecies
+export function subspeciesOf(geo, sci) {
+  const names = new Set();
+  for (const f of (geo && geo.features) || []) {
+    const ssp = f && f.properties && f.properties.Subspecies;
+    if (typeof ssp === 'string' && ssp.startsWith(`${sci}_`)) names.add(ssp);
+  }
+  return Array.from(names).sort();
+}
@@ -0,0 +1,65 @@
+// Run: node scripts/prune_outputs.js [--dry-run]
+// Removes generated files that no longer belong to the edition: SDM overlays
+// for species dropped from species_common.json (and PNGs no index entry
+// references), per-species range files without a distribution, and sightings
+// files missing from sightings_index.json.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { WEB_DATA, readJSON, writeJSON, listDistributionSpecies, rel } from './lib/io.js';
+
+const SPECIES_JSON = path.join(WEB_DATA, 'species_common.json');
+const SDM_DIR = path.join(WEB_DATA, 'sdms');
+const SDM_INDEX = path.join(SDM_DIR, 'index.json');
+const RANGES_DIR = path.join(WEB_DATA, 'ranges');
+const SIGHTINGS_DIR = path.join(WEB_DATA, 'sightings');
+const SIGHTINGS_INDEX = path.join(WEB_DATA, 'sightings_index.json');
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+async function listDir(dir) {
+  try { return (await fs.readdir(dir)).sort(); } catch { return []; }
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const doomed = [];
+
+  // SDM overlays: only species in the edition, only files the index references
+  const edition = new Set((await readJSON(SPECIES_JSON)).map(s => s.sci));
+  const sdmIndex = await readJSON(SDM_INDEX, {});
+  let sdmDropped = 0;
+  for (const sci of Object.keys(sdmIndex)) {
+    if (!edition.has(sci)) { delete sdmIndex[sci]; sdmDropped++; }
+  }
+  const referenced = new Set(Object.values(sdmIndex).flatMap(kinds => Object.values(kinds).map(k => k.file)));
+  for (const f of await listDir(SDM_DIR)) {
+    if (f.endsWith('.png') && !referenced.has(f)) doomed.push(path.join(SDM_DIR, f));
+  }
+
+  // Range levels split per species (see build_distributions_simplified.js)
+  const distributions = new Set(await listDistributionSpecies());
+  const manifest = await readJSON(path.join(RANGES_DIR, 'index.json'), { levels: [] });
+  for (const level of manifest.levels.filter(l => l.dir)) {
+    const dir = path.join(RANGES_DIR, level.dir);
+    for (const f of await listDir(dir)) {
+      if (f.endsWith('.json') && !distributions.has(f.slice(0, -5))) doomed.push(path.join(dir, f));
+    }
+  }
+
+  // Sightings the index no longer lists (e.g. left over from another region)
+  const indexed = new Set((await readJSON(SIGHTINGS_INDEX, [])).map(e => e.sci));
+  for (const f of await listDir(SIGHTINGS_DIR)) {
+    if (f.endsWith('.json') && !indexed.has(f.slice(0, -5))) doomed.push(path.join(SIGHTINGS_DIR, f));
+  }
+
+  for (const p of doomed) console.log(`${args.dryRun ? 'would remove' : 'remove'} ${rel(p)}`);
+  if (args.dryRun) {
+    console.log(`Dry run: ${doomed.length} file(s) and ${sdmDropped} SDM index entries would be pruned`);
+    return;
+  }
+  for (const p of doomed) await fs.rm(p, { force: true });
+  if (sdmDropped) await writeJSON(SDM_INDEX, sdmIndex);
+  console.log(`Pruned ${doomed.length} file(s) and ${sdmDropped} SDM index entries`);
+})();
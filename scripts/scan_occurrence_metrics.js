@@ -0,0 +1,154 @@
+// Run: node scripts/scan_occurrence_metrics.js [--region=usa] [--input=data/occurrence/<file>]
+// Per-species data-quality metrics for the occurrence records inside a region:
+// basis of record, dating coverage, coordinate precision, GBIF issue and
+// captive flags. Writes occurrence_metrics_by_species.csv (read by the species
+// panel) and occurrence_metrics_overall.json to web/data.
+//
+// Without --input every CSV/TSV/TXT/NDJSON download (optionally .gz) under
+// data/occurrence is scanned, one per species and named after it
+// (Crotalus_atrox.csv.gz -> Crotalus_atrox). Only when there are none is the
+// spreadsheet with the most date columns read instead, keyed by its species
+// column; on a tie the raw sheet is preferred over its "_clean" export.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, WEB_DATA, writeJSON, rel } from './lib/io.js';
+import { loadRegion } from './lib/regions.js';
+import { loadAdminBoundaries } from './lib/admin.js';
+import { OCC_DIR, TABLE_RE, listOccurrenceTables, readOccurrenceTable, listOccurrenceSheets, readOccurrenceRows, detectColumns, firstKey, sciOf, coordsOf, dateOf, yearFromText, uncertaintyOf, text } from './lib/occurrence.js';
+
+const OUT_CSV = path.join(WEB_DATA, 'occurrence_metrics_by_species.csv');
+const OUT_OVERALL = path.join(WEB_DATA, 'occurrence_metrics_overall.json');
+const OUT_COLUMNS = path.join(WEB_DATA, 'occurrence_columns_seen.json');
+
+const BASIS = ['HumanObservation', 'Observation', 'MachineObservation', 'PreservedSpecimen', 'FossilSpecimen', 'Other'];
+const GBIF_BAD_ISSUES = ['ZERO_COORDINATE', 'COORDINATE_OUT_OF_RANGE', 'COUNTRY_COORDINATE_MISMATCH',
+  'COUNTRY_MISMATCH', 'RECORDED_DATE_INVALID', 'RECORDED_DATE_MISMATCH'];
+const CAPTIVE_MEANS = new Set(['captive', 'managed', 'captive/managed']);
+const CAPTIVE_HINTS = /\b(zoo|captive|captiv(e|ity)|pet\s?store|collection|terrarium|museum\s?display)\b/i;
+const PRECISE_M = 2000;
+const RECENT_YEAR = 2010;
+
+const COUNTS = ['total_records', 'region_records', 'dated_any', 'dated_full', 'post_2010', 'valid_coords',
+  'uncertainty_le_2km', 'gbif_issue_flagged', 'captive_flagged', 'has_media'];
+const SHARES = { pct_dated_any: 'dated_any', pct_dated_full: 'dated_full', pct_post_2010: 'post_2010',
+  pct_uncertainty_le_2km: 'uncertainty_le_2km', pct_captive_flagged: 'captive_flagged' };
+
+function parseArgs(argv) {
+  const out = { input: null };
+  for (const a of argv) {
+    if (a.startsWith('--input=')) out.input = path.resolve(ROOT, a.slice(8));
+  }
+  return out;
+}
+
+function basisBucket(v) {
+  const s = String(v || '').trim();
+  if (BASIS.includes(s)) return s;
+  const u = s.toUpperCase().replace(/[ -]/g, '_');
+  if (u.includes('HUMAN')) return 'HumanObservation';
+  if (u.includes('MACHINE')) return 'MachineObservation';
+  if (u.includes('FOSSIL')) return 'FossilSpecimen';
+  if (u.includes('PRESERVED') || u.includes('SPECIMEN')) return 'PreservedSpecimen';
+  if (u.includes('OBSERVATION')) return 'Observation';
+  return 'Other';
+}
+
+function emptyCounts() {
+  const c = Object.fromEntries(COUNTS.map(k => [k, 0]));
+  c.basis_counts = Object.fromEntries(BASIS.map(k => [k, 0]));
+  return c;
+}
+
+function csvRow(values) {
+  return values.map(v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v).join(',');
+}
+
+// Species id of a per-species download: the file name without its extension
+function speciesOfFile(file) {
+  return path.basename(file).replace(TABLE_RE, '');
+}
+
+// Adds one file's rows to the overall and per-species counts. speciesId is
+// fixed for a per-species table and null for a sheet keyed by species column.
+function scanRows(rows, speciesId, { region, admin, overall, perSpecies }) {
+  const cols = detectColumns(rows[0]);
+  // The combined sheet has no basisOfRecord; its source column carries the basis
+  const kBasis = cols.basis || cols.source;
+  const kMedia = firstKey(rows[0], ['mediaType', 'associatedMedia', 'hasMedia', 'photo']);
+  for (const r of rows) {
+    const sci = speciesId || sciOf(r, cols);
+    if (!sci) continue;
+    if (!perSpecies.has(sci)) perSpecies.set(sci, emptyCounts());
+    const sp = perSpecies.get(sci);
+    sp.total_records++; overall.total_records++;
+
+    // In the region by coordinates, or by the stated country when they are unusable
+    const coords = coordsOf(r, cols);
+    const place = coords ? admin.assign(coords.lon, coords.lat) : null;
+    const inRegion = coords
+      ? region.containsPlace(place) || region.contains(coords.lon, coords.lat)
+      : region.claimsCountry(text(r, cols.country));
+    if (!inRegion) continue;
+
+    const { iso, full } = dateOf(r, cols);
+    const year = iso ? Number(iso.slice(0, 4)) : yearFromText(r, cols);
+    const uncert = uncertaintyOf(r, cols);
+    const issues = text(r, cols.issues).toUpperCase();
+    const notes = [cols.remarks, cols.locality, cols.habitat].map(k => text(r, k)).join(' ');
+    const flags = {
+      region_records: true,
+      dated_any: year != null,
+      dated_full: full,
+      post_2010: year != null && year >= RECENT_YEAR,
+      valid_coords: !!coords,
+      uncertainty_le_2km: uncert != null && uncert <= PRECISE_M,
+      gbif_issue_flagged: GBIF_BAD_ISSUES.some(code => issues.includes(code)),
+      captive_flagged: CAPTIVE_MEANS.has(text(r, cols.establishment).toLowerCase()) || CAPTIVE_HINTS.test(notes),
+      has_media: !!text(r, kMedia)
+    };
+    for (const [k, on] of Object.entries(flags)) {
+      if (on) { sp[k]++; overall[k]++; }
+    }
+    const b = basisBucket(text(r, kBasis) || 'Other');
+    sp.basis_counts[b]++; overall.basis_counts[b]++;
+  }
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  let inputs = args.input ? [args.input] : await listOccurrenceTables();
+  if (!inputs.length) inputs = (await listOccurrenceSheets()).slice(0, 1);
+  if (!inputs.length) {
+    console.error('No occurrence tables or sheet found in data/occurrence (pass --input=)'); process.exit(1);
+  }
+  const state = { region: await loadRegion(), admin: await loadAdminBoundaries(), overall: emptyCounts(), perSpecies: new Map() };
+  const { region, overall, perSpecies } = state;
+  // Union of the headers, for mapping new download formats
+  const seen = new Set();
+  for (const input of inputs) {
+    const table = TABLE_RE.test(input);
+    const rows = table ? await readOccurrenceTable(input) : readOccurrenceRows(input);
+    if (!rows.length) { console.warn(`No rows in ${rel(input)}`); continue; }
+    for (const k of Object.keys(rows[0])) seen.add(k);
+    scanRows(rows, table ? speciesOfFile(input) : null, state);
+  }
+  await writeJSON(OUT_COLUMNS, Array.from(seen));
+
+  const header = ['species_id', ...COUNTS, ...BASIS.map(b => `basis_${b}`), ...Object.keys(SHARES)];
+  const lines = [header.join(',')];
+  for (const sci of Array.from(perSpecies.keys()).sort()) {
+    const sp = perSpecies.get(sci);
+    const denom = sp.region_records || 1;
+    lines.push(csvRow([
+      sci,
+      ...COUNTS.map(k => sp[k]),
+      ...BASIS.map(b => sp.basis_counts[b]),
+      ...Object.values(SHARES).map(k => Number((sp[k] / denom).toFixed(4)))
+    ]));
+  }
+  await fs.writeFile(OUT_CSV, lines.join('\n') + '\n', 'utf8');
+  const source = inputs.length === 1 ? rel(inputs[0]) : rel(OCC_DIR);
+  await writeJSON(OUT_OVERALL, { region: region.id, source, files: inputs.map(f => rel(f)), ...overall });
+  console.log(`Scanned ${overall.total_records} records (${overall.region_records} in ${region.name}) from ${inputs.length} file(s)`);
+  console.log(`Wrote ${perSpecies.size} species -> ${rel(OUT_CSV)}, ${rel(OUT_OVERALL)}`);
+})();
@@ -0,0 +1,186 @@
+// Run: node scripts/validate_data.js
+// Cross-checks the generated web data against its inputs and exits non-zero on
+// any inconsistency: species without distributions, stale bboxes, malformed
+// sightings, a phylogeny out of step with the species list, profile facts
+// that miss species or disagree with the sightings, and a sightings index that
+// disagrees with the files.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DIST_DIR, WEB_DATA, exists, readJSON, listDistributionSpecies } from './lib/io.js';
+import { bboxOfGeoJSON } from './lib/geo.js';
+import { checkRecord } from './lib/schema.js';
+
+const SPECIES_JSON = path.join(WEB_DATA, 'species_common.json');
+const BBOX_JSON = path.join(WEB_DATA, 'distributions_bbox.json');
+const INDEX_JSON = path.join(WEB_DATA, 'distributions_index.json');
+const SIGHTINGS_DIR = path.join(WEB_DATA, 'sightings');
+const SIGHTINGS_INDEX = path.join(WEB_DATA, 'sightings_index.json');
+const PHYLOGENY_JSON = path.join(WEB_DATA, 'phylogeny.json');
+const PROFILES_JSON = path.join(WEB_DATA, 'species_profiles.json');
+
+const BBOX_EPS = 1e-9;   // distributions_bbox.json stores full precision
+const INDEX_EPS = 1e-4;  // the grid index rounds to 4 decimals
+const MAX_SHOWN = 20;    // problems printed per check
+
+const sameBox = (a, b, eps) => Array.isArray(a) && a.length === 4 && a.every((v, i) => Math.abs(v - b[i]) <= eps);
+
+async function checkSpecies() {
+  const problems = [];
+  const species = await readJSON(SPECIES_JSON);
+  const seen = new Set();
+  for (const s of species) {
+    if (!s || !s.sci) { problems.push(`entry without sci: ${JSON.stringify(s)}`); continue; }
+    if (seen.has(s.sci)) problems.push(`${s.sci}: listed twice`);
+    seen.add(s.sci);
+    if (!s.common) problems.push(`${s.sci}: no common name`);
+    if (!s.names || typeof s.names !== 'object' || Array.isArray(s.names)) problems.push(`${s.sci}: names is not an object`);
+    if (!Array.isArray(s.aliases)) problems.push(`${s.sci}: aliases is not an array`);
+    if (!Array.isArray(s.subspecies)) problems.push(`${s.sci}: subspecies is not an array`);
+    else for (const ssp of s.subspecies) if (!ssp.startsWith(`${s.sci}_`)) problems.push(`${s.sci}: subspecies ${ssp} of another species`);
+    if (!(await exists(path.join(DIST_DIR, `${s.sci}.geojson`)))) problems.push(`${s.sci}: no data/distributions/${s.sci}.geojson`);
+  }
+  return { label: `species_common.json (${species.length} species)`, problems };
+}
+
+async function checkBboxes() {
+  const problems = [];
+  const bboxes = await readJSON(BBOX_JSON);
+  const index = await readJSON(INDEX_JSON);
+  const indexed = new Map(index.species.map((sci, i) => [sci, index.bbox[i]]));
+  if (index.species.length !== index.bbox.length || index.species.length !== index.cells.length) {
+    problems.push('distributions_index.json: species, bbox and cells differ in length');
+  }
+  const species = await listDistributionSpecies();
+  for (const sci of species) {
+    let geo;
+    try {
+      geo = JSON.parse(await fs.readFile(path.join(DIST_DIR, `${sci}.geojson`), 'utf8'));
+    } catch (e) {
+      problems.push(`${sci}: unreadable distribution (${e.message})`);
+      continue;
+    }
+    const bbox = bboxOfGeoJSON(geo);
+    if (!bbox) continue; // empty geometry; the bbox build skips these too
+    if (!bboxes[sci]) problems.push(`${sci}: missing from distributions_bbox.json`);
+    else if (!sameBox(bboxes[sci], bbox, BBOX_EPS)) problems.push(`${sci}: distributions_bbox.json ${JSON.stringify(bboxes[sci])} != geometry ${JSON.stringify(bbox)}`);
+    if (!indexed.has(sci)) problems.push(`${sci}: missing from distributions_index.json`);
+    else if (!sameBox(indexed.get(sci), bbox, INDEX_EPS)) problems.push(`${sci}: distributions_index.json bbox ${JSON.stringify(indexed.get(sci))} != geometry`);
+  }
+  const known = new Set(species);
+  for (const sci of Object.keys(bboxes)) if (!known.has(sci)) problems.push(`${sci}: bbox without a distribution file`);
+  for (const sci of indexed.keys()) if (!known.has(sci)) problems.push(`${sci}: grid index entry without a distribution file`);
+  return { label: `bboxes (${species.length} distributions)`, problems };
+}
+
+async function checkSightings() {
+  const problems = [];
+  const files = (await fs.readdir(SIGHTINGS_DIR)).filter(f => f.endsWith('.json')).sort();
+  const index = await readJSON(SIGHTINGS_INDEX);
+  const entries = new Map();
+  for (const e of index) {
+    if (entries.has(e.sci)) problems.push(`${e.sci}: listed twice in sightings_index.json`);
+    entries.set(e.sci, e);
+  }
+  const ids = new Set();
+  let records = 0;
+  for (const f of files) {
+    const sci = f.slice(0, -5);
+    const p = path.join(SIGHTINGS_DIR, f);
+    let arr;
+    try {
+      arr = JSON.parse(await fs.readFile(p, 'utf8'));
+    } catch (e) {
+      problems.push(`${f}: unreadable (${e.message})`);
+      continue;
+    }
+    if (!Array.isArray(arr)) { problems.push(`${f}: not an array`); continue; }
+    records += arr.length;
+    arr.forEach((rec, i) => {
+      const where = `${f}[${i}]${rec && rec.id ? ` ${rec.id}` : ''}`;
+      for (const msg of checkRecord(rec)) problems.push(`${where}: ${msg}`);
+      if (rec && rec.sci !== sci) problems.push(`${where}: sci ${rec.sci} in ${f}`);
+      if (rec && rec.id) {
+        if (ids.has(rec.id)) problems.push(`${where}: duplicate id`);
+        ids.add(rec.id);
+      }
+    });
+
+    const e = entries.get(sci);
+    if (!e) { problems.push(`${f}: not in sightings_index.json`); continue; }
+    if (e.count !== arr.length) problems.push(`${sci}: index count ${e.count} != ${arr.length} records`);
+    const bytes = (await fs.stat(p)).size;
+    if (e.bytes !== bytes) problems.push(`${sci}: index bytes ${e.bytes} != file size ${bytes}`);
+    const latest = arr.reduce((m, s) => !m || (s.ts && s.ts > m) ? s.ts : m, null);
+    if ((e.latest_ts ?? null) !== latest) problems.push(`${sci}: index latest_ts ${e.latest_ts} != ${latest}`);
+    // Provenance: per-source counts add up to the file
+    const byOrigin = {};
+    for (const rec of arr) if (rec && rec.origin) byOrigin[rec.origin] = (byOrigin[rec.origin] || 0) + 1;
+    for (const origin of new Set([...Object.keys(byOrigin), ...Object.keys(e.sources || {})])) {
+      const listed = e.sources && e.sources[origin] ? e.sources[origin].kept : 0;
+      if (listed !== (byOrigin[origin] || 0)) problems.push(`${sci}: index lists ${listed} from ${origin}, file has ${byOrigin[origin] || 0}`);
+    }
+  }
+  const present = new Set(files.map(f => f.slice(0, -5)));
+  for (const sci of entries.keys()) if (!present.has(sci)) problems.push(`${sci}: in sightings_index.json but no sightings/${sci}.json`);
+  return { label: `sightings (${records} records in ${files.length} files)`, problems };
+}
+
+// Tips are edition species, each in exactly one clade
+async function checkPhylogeny() {
+  const problems = [];
+  const species = new Set((await readJSON(SPECIES_JSON)).map(s => s.sci));
+  const phylo = await readJSON(PHYLOGENY_JSON);
+  const tips = [];
+  const walk = n => { if (n.children) n.children.forEach(walk); else tips.push(n.sci); };
+  walk(phylo.tree);
+  for (const sci of tips) if (!species.has(sci)) problems.push(`${sci}: in phylogeny.json but not in species_common.json`);
+  if (tips.length !== phylo.tips) problems.push(`phylogeny.json lists ${phylo.tips} tips, tree has ${tips.length}`);
+  const inClades = phylo.clades.flatMap(c => c.species);
+  if (inClades.length !== tips.length || new Set(inClades).size !== tips.length) problems.push('clades do not partition the tips');
+  return { label: `phylogeny (${tips.length} of ${species.size} species)`, problems };
+}
+
+// One profile per species; activity counts add up to the sightings index
+async function checkProfiles() {
+  const problems = [];
+  const species = (await readJSON(SPECIES_JSON)).map(s => s.sci);
+  const profiles = await readJSON(PROFILES_JSON);
+  const index = await exists(SIGHTINGS_INDEX) ? await readJSON(SIGHTINGS_INDEX) : [];
+  const counts = new Map(index.map(e => [e.sci, e.count]));
+  for (const sci of species) {
+    const p = profiles[sci];
+    if (!p) { problems.push(`${sci}: no entry in species_profiles.json`); continue; }
+    if (!(p.area_km2 > 0)) problems.push(`${sci}: area_km2 ${p.area_km2}`);
+    const s = p.sightings;
+    if (!s || !Array.isArray(s.by_month) || s.by_month.length !== 12) { problems.push(`${sci}: by_month is not 12 months`); continue; }
+    if (s.total !== (counts.get(sci) || 0)) problems.push(`${sci}: profile counts ${s.total} sightings, index ${counts.get(sci) || 0}`);
+    const dated = s.total - s.undated;
+    const sum = v => v.reduce((a, n) => a + n, 0);
+    if (sum(s.by_month) !== dated || sum(Object.values(s.by_year)) !== dated) problems.push(`${sci}: by_year/by_month do not add up to ${dated} dated sightings`);
+  }
+  for (const sci of Object.keys(profiles)) if (!species.includes(sci)) problems.push(`${sci}: in species_profiles.json but not in species_common.json`);
+  return { label: `profiles (${Object.keys(profiles).length} species)`, problems };
+}
+
+(async () => {
+  let failed = 0;
+  for (const check of [checkSpecies, checkPhylogeny, checkBboxes, checkSightings, checkProfiles]) {
+    let result;
+    try {
+      result = await check();
+    } catch (e) {
+      result = { label: check.name, problems: [e.message] };
+    }
+    const { label, problems } = result;
+    if (!problems.length) { console.log(`ok    ${label}`); continue; }
+    failed += problems.length;
+    console.log(`FAIL  ${label}: ${problems.length} problem(s)`);
+    for (const p of problems.slice(0, MAX_SHOWN)) console.log(`        ${p}`);
+    if (problems.length > MAX_SHOWN) console.log(`        ... and ${problems.length - MAX_SHOWN} more`);
+  }
+  if (failed) {
+    console.error(`Validation failed with ${failed} problem(s)`);
+    process.exit(1);
+  }
+  console.log('Validation passed');
+})();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Run: node scripts/venommaps.js <command> [flags]   (or `npx venommaps ...`)
+// One entry point for the data build. Each command runs one of the scripts in
+// scripts/ from the repo root, passing the flags through (e.g. --region=mexico);
+// `all` runs the build in dependency order and finishes with `validate`.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPTS = path.dirname(fileURLToPath(import.meta.url));
+const REPO = path.dirname(SCRIPTS);
+
+// needs: input the step cannot run without; `all` skips the step (or runs
+// `fallback`) when it is missing
+const COMMANDS = {
+  'build species':    { script: 'build_species_common.js', about: 'species list and edition metadata for --region' },
+  'build phylogeny':  { script: 'build_phylogeny.js', about: 'species tree for the phylogeny panel (code/Viperidae.newick)' },
+  'build ranges':     { script: 'build_distributions_simplified.js', about: 'simplified range levels for the map' },
+  'build bbox':       { script: 'build_distributions_bbox.js', about: 'per-species bboxes and the grid index' },
+  'build sdm':        { script: 'build_sdm_overlays.js', about: 'SDM PNG overlays', needs: 'data/sdms' },
+  'build sightings':  { script: 'build_sightings_from_occurrence.js', about: 'sightings from the occurrence sources (config/sources.json)',
+                        needs: 'data/occurrence', fallback: 'annotate' },
+  'build metrics':    { script: 'scan_occurrence_metrics.js', about: 'per-species data-quality metrics', needs: 'data/occurrence' },
+  'build profiles':   { script: 'build_species_profiles.js', about: 'range facts and sighting activity for species profiles' },
+  'build boundaries': { script: 'build_admin_boundaries.js', about: 'admin-1 boundaries (needs --source=)' },
+  'annotate':         { script: 'annotate_sightings.js', about: 're-annotate existing sightings (place, range flags)' },
+  'prune':            { script: 'prune_outputs.js', about: 'remove outputs that no longer belong to the edition' },
+  'validate':         { script: 'validate_data.js', about: 'check generated data; exits non-zero on problems' }
+};
+
+const ALL = ['build species', 'build phylogeny', 'build ranges', 'build bbox', 'build sdm', 'build sightings', 'build metrics', 'build profiles', 'prune', 'validate'];
+
+function usage() {
+  const lines = Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(18)}${c.about}`);
+  lines.push(`  ${'all'.padEnd(18)}${ALL.join(', ')}`);
+  return `Usage: venommaps <command> [flags]\n\nCommands:\n${lines.join('\n')}\n`;
+}
+
+// Runs a step's script; resolves with its exit code
+function runScript(script, flags) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(SCRIPTS, script), ...flags], { cwd: REPO, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+  });
+}
+
+async function runStep(name, flags, { optional = false } = {}) {
+  const cmd = COMMANDS[name];
+  if (optional && cmd.needs && !fs.existsSync(path.join(REPO, cmd.needs))) {
+    if (!cmd.fallback) { console.log(`\n== ${name}: skipped, ${cmd.needs} not found`); return 0; }
+    console.log(`\n== ${name}: ${cmd.needs} not found, running ${cmd.fallback} instead`);
+    return runStep(cmd.fallback, flags);
+  }
+  if (optional) console.log(`\n== ${name}`);
+  return runScript(cmd.script, flags);
+}
+
+(async () => {
+  const argv = process.argv.slice(2);
+  const words = argv.filter(a => !a.startsWith('-'));
+  const flags = argv.filter(a => a.startsWith('-') && a !== '--help' && a !== '-h');
+  if (!words.length || words[0] === 'help' || argv.includes('--help') || argv.includes('-h')) {
+    process.stdout.write(usage());
+    return;
+  }
+
+  if (words[0] === 'all') {
+    for (const name of ALL) {
+      const code = await runStep(name, flags, { optional: true });
+      if (code) { console.error(`\nvenommaps all: "${name}" failed (exit ${code})`); process.exit(code); }
+    }
+    return;
+  }
+
+  const name = words.slice(0, 2).join(' ');
+  const cmd = COMMANDS[name] ? name : COMMANDS[words[0]] ? words[0] : null;
+  if (!cmd) {
+    console.error(`Unknown command "${words.join(' ')}"\n`);
+    process.stderr.write(usage());
+    process.exit(2);
+  }
+  process.exit(await runStep(cmd, flags));
+})();
@@ -0,0 +1,46 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { makeRepo, runScript, readOutput, cleanup } from './fixture-repo.js';
+
+const SCI = 'Crotalus_testus';
+const sighting = (id, lat, lon) => ({ id, sci: SCI, ts: null, lat, lon, source: 'Test', origin: 'combined' });
+
+async function annotate(sightings) {
+  const dir = await makeRepo({
+    ranges: { [SCI]: [-100, 20, -90, 40] },
+    files: {
+      [`web/data/sightings/${SCI}.json`]: sightings,
+      'web/data/sightings_index.json': [{ sci: SCI, count: sightings.length, bytes: 0, latest_ts: null, sources: {} }]
+    }
+  });
+  try {
+    const log = await runScript(dir, 'annotate_sightings.js');
+    let records = null;
+    try { records = await readOutput(dir, `web/data/sightings/${SCI}.json`); } catch {}
+    return { log, records, index: await readOutput(dir, 'web/data/sightings_index.json') };
+  } finally {
+    await cleanup(dir);
+  }
+}
+
+test('drops records outside the region and updates the index', async () => {
+  const { log, records, index } = await annotate([sighting('a', 35, -95), sighting('b', 25, -95), sighting('c', 50, 10)]);
+  assert.match(log, /bad coordinates=0, outside USA=2/);
+  assert.deepEqual(records.map(r => [r.lat, r.lon, r.country, r.state]), [[35, -95, 'US', 'US-TX']]);
+  assert.equal(index[0].count, 1);
+  assert.deepEqual(index[0].sources, { combined: { kept: 1, merged: 0 } });
+});
+
+test('drops (0, 0) and invalid coordinates before the region and range checks', async () => {
+  const { log, records } = await annotate([sighting('a', 35, -95), sighting('z', 0, 0), sighting('x', 95, -95), sighting('n', null, null)]);
+  assert.match(log, /bad coordinates=3, outside USA=0/);
+  assert.match(log, /Out of range: 0 /);
+  assert.equal(records.length, 1);
+});
+
+test('removes a species with no records left in the region', async () => {
+  const { records, index } = await annotate([sighting('b', 25, -95)]);
+  assert.equal(records, null);
+  assert.deepEqual(index, []);
+});
@@ -0,0 +1,37 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { makeRepo, runScript, readOutput, cleanup } from './fixture-repo.js';
+
+const SCI = 'Crotalus_testus';
+
+function sighting(id, ts) {
+  return { id, sci: SCI, ts, lat: 35, lon: -95, country: 'US', state: 'US-TX' };
+}
+
+test('profiles count dated sightings by year and month', async () => {
+  const dir = await makeRepo({
+    ranges: { [SCI]: [-100, 30, -90, 40] },
+    files: {
+      [`web/data/sightings/${SCI}.json`]: [
+        sighting('a', '2012-06-01T00:00:00.000Z'),
+        sighting('b', '2019-08-15T00:00:00.000Z'),
+        sighting('c', '2019-08-31T23:30:00.000Z'),
+        sighting('d', '2024-01-02T00:00:00.000Z'),
+        sighting('e', null)
+      ]
+    }
+  });
+  try {
+    const log = await runScript(dir, 'build_species_profiles.js');
+    assert.match(log, /4 dated sightings/);
+    const { sightings, countries } = (await readOutput(dir, 'web/data/species_profiles.json'))[SCI];
+    assert.equal(sightings.total, 5);
+    assert.equal(sightings.undated, 1);
+    assert.deepEqual(sightings.by_year, { 2012: 1, 2019: 2, 2024: 1 });
+    assert.deepEqual(sightings.by_month, [1, 0, 0, 0, 0, 1, 0, 2, 0, 0, 0, 0]);
+    assert.deepEqual(countries.map(c => c.code), ['US']);
+  } finally {
+    await cleanup(dir);
+  }
+});
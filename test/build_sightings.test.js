@@ -0,0 +1,34 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { makeRepo, runScript, readOutput, cleanup } from './fixture-repo.js';
+
+const SCI = 'Crotalus_testus';
+const CSV = [
+  'gbifID,species,decimalLatitude,decimalLongitude,eventDate,basisOfRecord',
+  '1,Crotalus testus,35.1,-95.1,2012-06-01,HUMAN_OBSERVATION',
+  '2,Crotalus testus,35.2,-95.2,2019-08-15,HUMAN_OBSERVATION',
+  '3,Crotalus testus,35.3,-95.3,2024-04-20,HUMAN_OBSERVATION',
+  '4,Crotalus testus,35.4,-95.4,,HUMAN_OBSERVATION'
+].join('\n') + '\n';
+
+async function build(args) {
+  const dir = await makeRepo({ ranges: { [SCI]: [-100, 30, -90, 40] }, files: { 'occ.csv': CSV } });
+  try {
+    await runScript(dir, 'build_sightings_from_occurrence.js', ['--source=csv:occ.csv', '--as-of=2024-12-31', ...args]);
+    return await readOutput(dir, `web/data/sightings/${SCI}.json`);
+  } finally {
+    await cleanup(dir);
+  }
+}
+
+test('keeps the full dated history by default', async () => {
+  const records = await build([]);
+  const years = records.map(r => r.ts && r.ts.slice(0, 4)).sort();
+  assert.deepEqual(years, ['2012', '2019', '2024', null].sort());
+});
+
+test('--max-age-days limits the history when asked', async () => {
+  const records = await build(['--max-age-days=365']);
+  assert.deepEqual(records.map(r => r.ts && r.ts.slice(0, 4)).sort(), ['2024', null].sort());
+});
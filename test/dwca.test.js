@@ -0,0 +1,61 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import CFB from 'cfb';
+import { read } from '../scripts/lib/sources/dwca.js';
+import { parseRows } from '../scripts/lib/sources/delimited.js';
+
+const TERMS = ['gbifID', 'species', 'decimalLatitude', 'decimalLongitude', 'locality'];
+
+function metaXml(enclosedBy) {
+  const fields = TERMS.map((term, i) => `<field index="${i}" term="http://rs.tdwg.org/dwc/terms/${term}"/>`).join('');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/">
+  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="${enclosedBy}" ignoreHeaderLines="1" rowType="http://rs.tdwg.org/dwc/terms/Occurrence">
+    <files><location>occurrence.txt</location></files>
+    <id index="0"/>
+    ${fields}
+  </core>
+</archive>`;
+}
+
+async function writeArchive(enclosedBy, rows) {
+  const zip = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(zip, 'meta.xml', Buffer.from(metaXml(enclosedBy)));
+  const text = [TERMS, ...rows].map(r => r.join('\t')).join('\n') + '\n';
+  CFB.utils.cfb_add(zip, 'occurrence.txt', Buffer.from(text));
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwca-'));
+  const file = path.join(dir, 'archive.zip');
+  await fs.writeFile(file, CFB.write(zip, { fileType: 'zip', type: 'buffer' }));
+  return file;
+}
+
+test('GBIF archives (fieldsEnclosedBy="") treat quotes as data', async () => {
+  const file = await writeArchive('', [
+    ['1', 'Crotalus horridus', '35.1', '-83.2', '"Big Rock trail'],
+    ['2', 'Crotalus horridus', '35.2', '-83.3', 'Ridge'],
+    ['3', 'Agkistrodon contortrix', '35.3', '-83.4', 'Creek']
+  ]);
+  const recs = await read(file, { origin: 'gbif' });
+  assert.equal(recs.length, 3);
+  assert.deepEqual(recs.map(r => r.native_id), ['gbif:1', 'gbif:2', 'gbif:3']);
+  assert.equal(recs[2].sci, 'Agkistrodon_contortrix');
+});
+
+test('quoted archives keep embedded newlines inside a field', async () => {
+  const file = await writeArchive('&quot;', [
+    ['1', 'Crotalus horridus', '35.1', '-83.2', '"Big Rock\ntrail, ""north"" side"'],
+    ['2', 'Crotalus horridus', '35.2', '-83.3', 'Ridge']
+  ]);
+  const recs = await read(file, { origin: 'gbif' });
+  assert.equal(recs.length, 2);
+  assert.deepEqual(recs.map(r => r.lat), [35.1, 35.2]);
+});
+
+test('parseRows without a quote character', () => {
+  assert.deepEqual(parseRows('a\t"b\nc\td"\n', '\t', ''), [['a', '"b'], ['c', 'd"']]);
+  assert.deepEqual(parseRows('a,"b\nc",d\n'), [['a', 'b\nc', 'd']]);
+});
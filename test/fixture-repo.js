@@ -0,0 +1,75 @@
+// Throwaway repo layouts for running the build scripts end to end: the scripts
+// resolve every path against the working directory (scripts/lib/io.js), so a
+// temp dir with a small config, boundary file and ranges stands in for the
+// real data. Not a test file itself; the *.test.js files import it.
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPO = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+function box([w, s, e, n]) {
+  return [[[w, s], [e, s], [e, n], [w, n], [w, s]]];
+}
+
+// Two admin-1 areas either side of 30°N: a US state to the north and a
+// Mexican one to the south
+export const ADMIN1 = {
+  features: [
+    { country: 'US', country3: 'USA', country_name: 'United States', state: 'US-TX', state_name: 'Texas', bbox: [-100, 30, -90, 40], polygons: [box([-100, 30, -90, 40])] },
+    { country: 'MX', country3: 'MEX', country_name: 'Mexico', state: 'MX-SIN', state_name: 'Sinaloa', bbox: [-100, 20, -90, 30], polygons: [box([-100, 20, -90, 30])] }
+  ]
+};
+
+export const REGIONS = {
+  default: 'usa',
+  taxa: { test: { genera: ['Crotalus'] } },
+  regions: { usa: { name: 'USA', boundary: [{ countries: ['US'] }], taxa: 'test' } }
+};
+
+// files: { 'relative/path': string | Buffer | object (written as JSON) }. Every
+// species in `ranges` ({ sci: [w, s, e, n] }) gets a distribution file and a
+// species_common.json entry.
+export async function makeRepo({ ranges = {}, files = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'venommaps-'));
+  const all = {
+    'config/regions.json': REGIONS,
+    'config/sources.json': { sources: [] },
+    'data/boundaries/admin1.json': ADMIN1,
+    'web/data/species_common.json': Object.keys(ranges).map(sci => ({ sci, common: sci.replace(/_/g, ' '), names: {} })),
+    ...files
+  };
+  for (const [sci, bbox] of Object.entries(ranges)) {
+    all[`data/distributions/${sci}.geojson`] = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: box(bbox) } }]
+    };
+  }
+  for (const [rel, content] of Object.entries(all)) {
+    const file = path.join(dir, rel);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+// Runs scripts/<script> with the fixture as working directory; rejects on a
+// non-zero exit with the script's output in the message
+export function runScript(dir, script, args = [], { env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(REPO, 'scripts', script), ...args],
+      { cwd: dir, env: { ...process.env, ...env }, timeout: 60000 },
+      (err, stdout, stderr) => err ? reject(new Error(`${script} failed: ${err.message}\n${stdout}${stderr}`)) : resolve(stdout));
+  });
+}
+
+export async function readOutput(dir, rel) {
+  const text = await fs.readFile(path.join(dir, rel), 'utf8');
+  return rel.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+export function cleanup(dir) {
+  return fs.rm(dir, { recursive: true, force: true });
+}
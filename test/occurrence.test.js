@@ -0,0 +1,45 @@
+// Run: node --test test/
+// Runs in a zone west of UTC so a local-time parse would shift dates by hours
+// (each test file gets its own process, so this does not leak)
+process.env.TZ = 'America/Denver';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toISODate, dateOf, detectColumns } from '../scripts/lib/occurrence.js';
+
+test('runs under a non-UTC time zone', () => {
+  assert.notEqual(new Date(2021, 4, 3).getTimezoneOffset(), 0);
+});
+
+test('reads date-times without a zone as UTC', () => {
+  assert.equal(toISODate('2021-05-03 14:00'), '2021-05-03T14:00:00.000Z');
+  assert.equal(toISODate('2021-05-03T14:00:07'), '2021-05-03T14:00:07.000Z');
+  assert.equal(toISODate('May 3, 2021 14:00'), '2021-05-03T14:00:00.000Z');
+});
+
+test('reads dates without a zone as UTC midnight', () => {
+  for (const s of ['2021-05-03', 'May 3 2021', '3 May 2021', '05/03/2021', '2021/05/03']) {
+    assert.equal(toISODate(s), '2021-05-03T00:00:00.000Z', s);
+  }
+});
+
+test('keeps an explicit zone or offset', () => {
+  assert.equal(toISODate('2021-05-03T14:00:00Z'), '2021-05-03T14:00:00.000Z');
+  assert.equal(toISODate('2021-05-03T14:00:00-05:00'), '2021-05-03T19:00:00.000Z');
+  assert.equal(toISODate('2021-05-03 14:00 UTC'), '2021-05-03T14:00:00.000Z');
+});
+
+test('reads years, Excel serials, ranges and rejects junk', () => {
+  assert.equal(toISODate('2021'), '2021-01-01T00:00:00.000Z');
+  assert.equal(toISODate('44319'), '2021-05-03T00:00:00.000Z');
+  assert.equal(toISODate('2021-05-03/2021-05-10'), '2021-05-03T00:00:00.000Z');
+  assert.equal(toISODate('2021-13-03'), null);
+  assert.equal(toISODate('unknown'), null);
+});
+
+test('dateOf keeps the calendar day from text and year/month/day columns', () => {
+  const text = detectColumns({ eventDate: '' });
+  assert.deepEqual(dateOf({ eventDate: '2021-05-03 23:30' }, text), { iso: '2021-05-03T23:30:00.000Z', full: true });
+  const parts = detectColumns({ year: '', month: '', day: '' });
+  assert.deepEqual(dateOf({ year: '2021', month: '5', day: '3' }, parts), { iso: '2021-05-03T00:00:00.000Z', full: true });
+});
@@ -0,0 +1,42 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRangeIndex, flagRecord, OUT_OF_RANGE_KM } from '../scripts/lib/ranges.js';
+import { coordsOf, detectColumns, validCoords } from '../scripts/lib/occurrence.js';
+
+// 1° square range at 35-36°N, 95-96°W
+const RANGE = createRangeIndex({
+  type: 'Feature',
+  geometry: { type: 'Polygon', coordinates: [[[-96, 35], [-95, 35], [-95, 36], [-96, 36], [-96, 35]]] }
+});
+
+test('flags records by their distance to the range', () => {
+  assert.equal(flagRecord({ lat: 35.5, lon: -95.5 }, RANGE).range_km, 0);
+  const near = flagRecord({ lat: 36.2, lon: -95.5 }, RANGE);
+  assert.ok(near.range_km > 20 && near.range_km < 25, near.range_km);
+  assert.equal(near.out_of_range, false);
+  assert.ok(near.range_km < OUT_OF_RANGE_KM);
+});
+
+test('gives far-off records a real distance rather than Infinity', () => {
+  // ~8,000 km away, beyond the bucketed edge search
+  const far = flagRecord({ lat: 35.5, lon: 0.5 }, RANGE);
+  assert.ok(far.range_km > 7000 && far.range_km < 10000, far.range_km);
+  assert.equal(far.out_of_range, true);
+});
+
+test('leaves records unflagged when the species has no range', () => {
+  assert.deepEqual(flagRecord({ lat: 35.5, lon: -95.5 }, null), { lat: 35.5, lon: -95.5, range_km: null, out_of_range: false });
+});
+
+test('rejects (0, 0) and out-of-bounds coordinates', () => {
+  assert.equal(validCoords(0, 0), false);
+  assert.equal(validCoords(91, 10), false);
+  assert.equal(validCoords(10, -181), false);
+  assert.equal(validCoords(null, null), false);
+  assert.equal(validCoords(0, 10), true);
+  const cols = detectColumns({ decimalLatitude: '', decimalLongitude: '' });
+  assert.equal(coordsOf({ decimalLatitude: '0', decimalLongitude: '0' }, cols), null);
+  assert.equal(coordsOf({ decimalLatitude: '', decimalLongitude: '5' }, cols), null);
+  assert.deepEqual(coordsOf({ decimalLatitude: '35.5', decimalLongitude: '-95.5' }, cols), { lat: 35.5, lon: -95.5 });
+});
@@ -0,0 +1,82 @@
+// Run: node --test test/
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import xlsx from 'xlsx';
+import { makeRepo, runScript, readOutput, cleanup } from './fixture-repo.js';
+
+// One GBIF download per species, as the legacy Python scanner read them: a
+// CSV, a gzipped TSV in a subfolder and an NDJSON file with a broken line
+const TESTUS_CSV = [
+  'gbifID,species,countryCode,decimalLatitude,decimalLongitude,eventDate,year,month,day,basisOfRecord,coordinateUncertaintyInMeters,issues,establishmentMeans,occurrenceRemarks,mediaType',
+  '1,Crotalus testus,US,35,-95,2015-06-01,2015,6,1,HUMAN_OBSERVATION,100,,,,StillImage',
+  '2,Crotalus testus,US,36,-96,2005-07-04,2005,7,4,HUMAN_OBSERVATION,5000,COUNTRY_COORDINATE_MISMATCH,,found at the zoo,',
+  '3,Crotalus testus,US,NA,NA,,2012,,,PRESERVED_SPECIMEN,NA,,,,',
+  '4,Crotalus testus,BR,-10,-50,2020-01-01,2020,1,1,HUMAN_OBSERVATION,10,,,,'
+].join('\n') + '\n';
+const OTHERUS_TSV = [
+  ['gbifID', 'species', 'countryCode', 'decimalLatitude', 'decimalLongitude', 'eventDate', 'basisOfRecord', 'coordinateUncertaintyInMeters', 'associatedMedia'],
+  ['5', 'Crotalus otherus', 'US', '31', '-91', '2019-05-03T10:00:00Z', 'MACHINE_OBSERVATION', '30', 'https://example.org/5.jpg'],
+  ['6', 'Crotalus otherus', 'DE', '48', '10', '1999-01-01', 'FOSSIL_SPECIMEN', 'NA', '']
+].map(r => r.join('\t')).join('\n') + '\n';
+const THIRDUS_NDJSON = [
+  JSON.stringify({ gbifID: 7, species: 'Crotalus thirdus', countryCode: 'US', decimalLatitude: 33, decimalLongitude: -92, eventDate: '2011-02-03', basisOfRecord: 'OBSERVATION', extensions: { media: null } }),
+  '{not json'
+].join('\n') + '\n';
+
+// occurrence_metrics_by_species.csv as scan_occurrence_metrics.py wrote it for
+// the files above (it called the region count usa_records)
+const LEGACY_CSV = `species_id,total_records,usa_records,dated_any,dated_full,post_2010,valid_coords,uncertainty_le_2km,gbif_issue_flagged,captive_flagged,has_media,basis_HumanObservation,basis_Observation,basis_MachineObservation,basis_PreservedSpecimen,basis_FossilSpecimen,basis_Other,pct_dated_any,pct_dated_full,pct_post_2010,pct_uncertainty_le_2km,pct_captive_flagged
+Crotalus_otherus,2,1,1,1,1,1,1,0,0,1,0,0,1,0,0,0,1.0,1.0,1.0,1.0,0.0
+Crotalus_testus,4,3,3,2,2,2,1,1,1,1,2,0,0,1,0,0,1.0,0.6667,0.6667,0.3333,0.3333
+Crotalus_thirdus,1,1,1,1,1,1,0,0,0,0,0,1,0,0,0,0,1.0,1.0,1.0,0.0,0.0
+`;
+
+// CSV text -> [{ column: number | string }], with the legacy region column renamed
+function table(text) {
+  const [header, ...rows] = text.trim().split('\n').map(l => l.split(','));
+  const keys = header.map(k => k === 'usa_records' ? 'region_records' : k);
+  return rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, k === 'species_id' ? cells[i] : Number(cells[i])])));
+}
+
+function workbook(rows) {
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(rows), 'records');
+  return xlsx.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+async function scan(files) {
+  const dir = await makeRepo({ files });
+  try {
+    await runScript(dir, 'scan_occurrence_metrics.js');
+    return {
+      csv: await readOutput(dir, 'web/data/occurrence_metrics_by_species.csv'),
+      overall: await readOutput(dir, 'web/data/occurrence_metrics_overall.json')
+    };
+  } finally {
+    await cleanup(dir);
+  }
+}
+
+test('matches the legacy per-species metrics on CSV, gzipped TSV and NDJSON downloads', async () => {
+  const { csv, overall } = await scan({
+    'data/occurrence/Crotalus_testus.csv': TESTUS_CSV,
+    'data/occurrence/more/Crotalus_otherus.tsv.gz': zlib.gzipSync(OTHERUS_TSV),
+    'data/occurrence/Crotalus_thirdus.ndjson': THIRDUS_NDJSON,
+    // Ignored while there are tables to scan
+    'data/occurrence/combined.xlsx': workbook([{ species: 'Crotalus sheetus', decimalLatitude: 35, decimalLongitude: -95, eventDate: '2020-01-01' }])
+  });
+  assert.deepEqual(table(csv), table(LEGACY_CSV));
+  assert.equal(overall.files.length, 3);
+  assert.equal(overall.total_records, 7);
+  assert.equal(overall.region_records, 5);
+});
+
+test('without tables, reads the raw sheet rather than an equally dated _clean export', async () => {
+  const header = { decimalLatitude: 35, decimalLongitude: -95, eventDate: '2020-01-01', year: 2020 };
+  const { csv } = await scan({
+    'data/occurrence/combined_records_v4_clean.xlsx': workbook([{ species: 'Crotalus cleanus', ...header }]),
+    'data/occurrence/combined_records_v5.xlsx': workbook([{ species: 'Crotalus rawus', ...header }])
+  });
+  assert.deepEqual(table(csv).map(r => r.species_id), ['Crotalus_rawus']);
+});